@@ -1,7 +1,105 @@
 // FHIR CapabilityStatement Viewer Application
+// Parsing, validation, version normalization and fetching live in lib/capability-core.js
+// (the FHIRCapabilityCore global), which the command-line tool shares.
+
+const { SMART_OAUTH_URIS_EXTENSION } = FHIRCapabilityCore;
+
+// oauth-uris sub-extensions and their .well-known/smart-configuration counterparts
+const SMART_ENDPOINTS = [
+    { extension: 'authorize', property: 'authorization_endpoint', label: 'Authorize' },
+    { extension: 'token', property: 'token_endpoint', label: 'Token' },
+    { extension: 'register', property: 'registration_endpoint', label: 'Register' },
+    { extension: 'manage', property: 'management_endpoint', label: 'Manage' },
+    { extension: 'introspect', property: 'introspection_endpoint', label: 'Introspect' },
+    { extension: 'revoke', property: 'revocation_endpoint', label: 'Revoke' }
+];
+
+const EXPECTATION_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/capabilitystatement-expectation';
+const SEARCH_COMBINATION_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/capabilitystatement-search-parameter-combination';
+
+// Entries an IG lists without an expectation extension are treated as required
+const DEFAULT_EXPECTATION = 'SHALL';
+
+// Friendly names for extensions commonly found on CapabilityStatements
+const KNOWN_EXTENSIONS = {
+    [EXPECTATION_EXTENSION]: 'Expectation',
+    [SEARCH_COMBINATION_EXTENSION]: 'Search Parameter Combination',
+    [SMART_OAUTH_URIS_EXTENSION]: 'SMART OAuth URIs',
+    'http://hl7.org/fhir/StructureDefinition/capabilitystatement-websocket': 'WebSocket URL',
+    'http://hl7.org/fhir/StructureDefinition/capabilitystatement-supported-system': 'Supported Code System',
+    'http://hl7.org/fhir/StructureDefinition/capabilitystatement-prohibited': 'Prohibited'
+};
+
+// Request builder defaults when no SearchParameter definition has been resolved
+const SEARCH_PREFIXES = ['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb', 'ap'];
+const SEARCH_MODIFIERS = {
+    string: ['exact', 'contains', 'missing'],
+    token: ['text', 'not', 'above', 'below', 'in', 'not-in', 'of-type', 'missing'],
+    reference: ['identifier', 'missing'],
+    uri: ['above', 'below', 'missing'],
+    date: ['missing'],
+    number: ['missing'],
+    quantity: ['missing']
+};
+const BUILDER_INTERACTIONS = ['search-type', 'read', 'vread', 'history-instance', 'history-type'];
+
+// Columns of the resource × interaction matrix on the Interactions tab
+const MATRIX_INTERACTIONS = ['read', 'vread', 'update', 'patch', 'delete', 'history-instance', 'history-type', 'create', 'search-type'];
+const MATRIX_FLAGS = [
+    { property: 'versioning', label: 'Versioning' },
+    { property: 'readHistory', label: 'Read History' },
+    { property: 'updateCreate', label: 'Update Create' },
+    { property: 'conditionalCreate', label: 'Conditional Create' },
+    { property: 'conditionalRead', label: 'Conditional Read' },
+    { property: 'conditionalUpdate', label: 'Conditional Update' },
+    { property: 'conditionalPatch', label: 'Conditional Patch' },
+    { property: 'conditionalDelete', label: 'Conditional Delete' }
+];
+
+// CORS proxy presets; {url} is replaced with the encoded target URL
+const PROXY_PRESETS = {
+    public: 'https://api.allorigins.win/raw?url={url}',
+    local: 'http://localhost:8787/?url={url}'
+};
+const PROXY_SETTINGS_KEY = 'fhir-viewer-proxy';
+
+// Loaded statements are kept in IndexedDB, one entry per URL
+const HISTORY_DB_NAME = 'fhir-capability-viewer';
+const HISTORY_STORE = 'statements';
+const HISTORY_LIMIT = 50;
+
+// The multi-server dashboard loads this many servers at a time; named workspaces live in localStorage
+const DASHBOARD_CONCURRENCY = 6;
+const WORKSPACES_KEY = 'fhir-viewer-workspaces';
+
+// The Raw Data tree renders children on demand, this many at a time
+const JSON_TREE_PAGE_SIZE = 200;
+const JSON_SEARCH_RESULT_LIMIT = 100;
+
+// Link schemes allowed in server-supplied hrefs
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
 class FHIRCapabilityViewer {
     constructor() {
         this.capabilityData = null;
+        this.sourceData = null;
+        this.fhirRelease = null;
+        this.currentSource = null;
+        this.comparison = null;
+        this.conformanceReference = null;
+        this.conformanceReport = null;
+        this.selectedRestIndex = 0;
+        this.rawDataFormat = 'json';
+        this.rawPathQuery = '';
+        this.smartConfiguration = null;
+        this.terminologyCapabilities = null;
+        this.resolvedDefinitions = new Map();
+        this.packageDefinitions = new Map();
+        this.filter = { text: '', interaction: '', paramType: '', hasOperations: false };
+        this.historyDbPromise = null;
+        this.matrixSort = { column: 'type', descending: false };
+        this.restoringView = false;
+        this.dashboard = null;
         this.initializeEventListeners();
         this.checkUrlParameters();
     }
@@ -24,18 +122,204 @@ class FHIRCapabilityViewer {
             this.loadDemoData();
         });
 
+        // Offline demo button click handler
+        document.getElementById('offline-demo-button').addEventListener('click', () => {
+            this.loadStaticDemoData();
+        });
+
+        // File picker handler
+        document.getElementById('file-input').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.loadCapabilityStatementFromFile(e.target.files[0]);
+            }
+            // Allow the same file to be picked again after editing it
+            e.target.value = '';
+        });
+
+        // Drag-and-drop handlers
+        const dropZone = document.getElementById('drop-zone');
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.loadCapabilityStatementFromFile(file);
+            }
+        });
+
+        // Advanced request option handlers
+        document.getElementById('add-header-button').addEventListener('click', () => {
+            this.addCustomHeaderRow();
+        });
+
+        // CORS proxy settings are remembered in this browser
+        this.restoreProxySettings();
+        document.getElementById('proxy-mode').addEventListener('change', () => this.saveProxySettings());
+        document.getElementById('proxy-template').addEventListener('change', () => this.saveProxySettings());
+
+        // Paste button click handler
+        document.getElementById('paste-button').addEventListener('click', () => {
+            this.loadCapabilityStatementFromText(document.getElementById('paste-input').value, { type: 'paste', label: 'Pasted statement' });
+        });
+
         // Tab switching handlers
         document.querySelectorAll('.tab-button').forEach(button => {
             button.addEventListener('click', (e) => {
                 this.switchTab(e.target.dataset.tab);
+                this.recordViewState(true);
             });
         });
 
+        // "View in Raw Data" links on resource cards
+        document.getElementById('results-section').addEventListener('click', (e) => {
+            const link = e.target.closest('.raw-link');
+            if (link) {
+                this.showRawPath(JSON.parse(link.dataset.rawPath));
+            }
+        });
+
+        // Opening or closing a resource card is a navigation step too (the toggle itself is the inline handler)
+        document.getElementById('resources-tab').addEventListener('click', (e) => {
+            if (e.target.closest('.resource-card > .resource-header')) {
+                this.recordViewState(true);
+            }
+        });
+
+        // Back/Forward restore the view recorded for that history entry
+        window.addEventListener('popstate', () => {
+            this.restoreViewFromLocation();
+        });
+
+        // REST endpoint selector handler
+        document.getElementById('rest-endpoint-select').addEventListener('change', (e) => {
+            this.selectRestEndpoint(parseInt(e.target.value, 10));
+        });
+
+        // Filter handlers; typing is debounced so huge statements stay responsive
+        let filterTimer = null;
+        document.getElementById('filter-input').addEventListener('input', () => {
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(() => this.updateFilter(), 150);
+        });
+        ['filter-interaction', 'filter-param-type', 'filter-has-operations'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateFilter());
+        });
+        document.getElementById('expand-all-button').addEventListener('click', () => {
+            this.setCardsExpanded(document.querySelector('.tab-panel.active'), true);
+            this.recordViewState(true);
+        });
+        document.getElementById('collapse-all-button').addEventListener('click', () => {
+            this.setCardsExpanded(document.querySelector('.tab-panel.active'), false);
+            this.recordViewState(true);
+        });
+
+        // Canonical resolution handlers
+        document.getElementById('resolve-definitions-button').addEventListener('click', () => {
+            this.resolveDefinitionsFromServer();
+        });
+        document.getElementById('package-input').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadDefinitionPackage(Array.from(e.target.files));
+            }
+            e.target.value = '';
+        });
+
+        // History sidebar handlers
+        document.getElementById('history-toggle').addEventListener('click', () => {
+            this.toggleHistory();
+        });
+        document.getElementById('history-close').addEventListener('click', () => {
+            this.toggleHistory(false);
+        });
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (button) {
+                this.handleHistoryAction(button.dataset.historyAction, button.dataset.url);
+            }
+        });
+        document.getElementById('cache-banner').addEventListener('click', (e) => {
+            if (e.target.closest('#cache-reload-button')) {
+                document.getElementById('fhir-url').value = this.currentSource.url;
+                this.loadCapabilityStatement();
+            }
+        });
+
         // Permalink button handler
         document.getElementById('permalink-link').addEventListener('click', (e) => {
             e.preventDefault();
             this.generatePermalink();
         });
+
+        // Export menu handlers
+        document.querySelectorAll('[data-report-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.getElementById('export-menu').open = false;
+                this.exportReport(button.dataset.reportExport);
+            });
+        });
+
+        // Compare and conformance source type handlers
+        document.querySelectorAll('.compare-source-type').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.updateSourceInputs(e.target);
+            });
+        });
+
+        // Conformance check button click handler
+        document.getElementById('conformance-button').addEventListener('click', () => {
+            this.runConformanceCheck();
+        });
+
+        // Compare button click handler
+        document.getElementById('compare-button').addEventListener('click', () => {
+            this.runComparison();
+        });
+
+        // Multi-server dashboard handlers
+        this.renderWorkspaceOptions();
+        document.getElementById('dashboard-load-button').addEventListener('click', () => {
+            this.loadDashboard(this.parseServerList(document.getElementById('dashboard-urls').value));
+        });
+        document.getElementById('dashboard-file-input').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importServerList(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        document.getElementById('workspace-select').addEventListener('change', (e) => {
+            this.openWorkspace(e.target.value);
+        });
+        document.getElementById('workspace-save-button').addEventListener('click', () => {
+            this.saveWorkspace();
+        });
+        document.getElementById('workspace-delete-button').addEventListener('click', () => {
+            this.deleteWorkspace();
+        });
+        const dashboardSection = document.getElementById('dashboard-section');
+        dashboardSection.addEventListener('click', (e) => {
+            const openButton = e.target.closest('[data-dashboard-open]');
+            if (openButton) {
+                this.openDashboardServer(parseInt(openButton.dataset.dashboardOpen, 10));
+            } else if (e.target.closest('#dashboard-reload-button')) {
+                this.loadDashboard(this.dashboard.servers.map(server => server.url));
+            } else if (e.target.closest('#dashboard-close-button')) {
+                this.dashboard = null;
+                dashboardSection.style.display = 'none';
+            }
+        });
+        dashboardSection.addEventListener('change', (e) => {
+            if (e.target.id === 'dashboard-interaction') {
+                this.dashboard.interaction = e.target.value;
+                this.renderDashboard();
+            }
+        });
     }
 
     async loadCapabilityStatement() {
@@ -57,488 +341,4468 @@ class FHIRCapabilityViewer {
         this.hideResults();
 
         try {
-            // Try multiple approaches to handle CORS
-            let response;
-            let data;
-            
-            // First, try direct fetch
+            // An invalid header is the user's to fix, not a reason to show the stored copy
+            const requestOptions = this.getRequestOptions();
+            let fetched;
             try {
-                response = await fetch(`${url}${url.includes('?') ? '&' : '?'}_format=json`, {
-                    method: 'GET',
-                    mode: 'cors',
-                    headers: {
-                        'Accept': 'application/fhir+json, application/json'
-                    }
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-
-                data = await response.json();
-            } catch (corsError) {
-                console.log('Direct fetch failed, trying CORS proxy...', corsError);
-                
-                // If direct fetch fails due to CORS, try using a CORS proxy
-                const proxyUrl = 'https://api.allorigins.win/raw?url=';
-                const proxiedUrl = proxyUrl + encodeURIComponent(`${url}${url.includes('?') ? '&' : '?'}_format=json`);
-                
-                response = await fetch(proxiedUrl, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
-
-                if (!response.ok) {
-                    throw new Error(`Proxy request failed: HTTP ${response.status}: ${response.statusText}`);
-                }
-
-                const responseText = await response.text();
-                try {
-                    data = JSON.parse(responseText);
-                } catch (parseError) {
-                    // If JSON parsing fails, the response might be HTML error page
-                    if (responseText.includes('<html>') || responseText.includes('<!DOCTYPE')) {
-                        throw new Error('The server returned an HTML page instead of JSON. This might indicate the URL is incorrect or the server is not responding properly.');
-                    }
-                    throw new Error('Invalid JSON response from server');
+                fetched = await this.fetchCapabilityStatement(url, { requestOptions });
+            } catch (fetchError) {
+                // Fall back to the stored copy only when the server cannot be reached; HTTP errors
+                // and unparseable responses are reported
+                const cached = FHIRCapabilityCore.isNetworkFailure(fetchError)
+                    ? await this.findCachedStatement(url)
+                    : null;
+                if (!cached) {
+                    throw fetchError;
                 }
-            }
-            
-            if (!this.isValidCapabilityStatement(data)) {
-                throw new Error('The response does not appear to be a valid FHIR CapabilityStatement');
+                console.warn('Server unreachable, showing cached copy:', fetchError);
+                this.openHistoryEntry(cached, fetchError.message);
+                return;
             }
 
-            this.capabilityData = data;
-            this.displayCapabilityStatement();
+            const { data, source } = this.readFetchedStatement(url, fetched);
+            urlInput.value = source.url;
+            this.setCapabilityStatement(data, source);
+            this.saveHistoryEntry(source.url, data, source.format);
             
         } catch (error) {
             console.error('Error loading CapabilityStatement:', error);
-            
-            let errorMessage = error.message;
-            
-            // Provide more helpful error messages for common issues
-            if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-                errorMessage = `Network error: Unable to fetch data from the FHIR server. This might be due to:
-                • CORS (Cross-Origin Resource Sharing) restrictions
-                • Network connectivity issues
-                • Invalid URL or server not responding
-                
-                Try:
-                • Checking if the URL is correct and accessible in a browser
-                • Using a different FHIR server that allows CORS
-                • Running this application from an HTTPS server instead of file://`;
-            } else if (error.message.includes('Proxy request failed')) {
-                errorMessage = `Both direct connection and proxy failed. The FHIR server might be:
-                • Temporarily unavailable
-                • Requiring authentication
-                • Behind a firewall that blocks external access
-                
-                Please verify the URL is correct and try again later.`;
-            }
-            
-            this.showError(errorMessage);
+            this.showError(this.describeLoadError(error));
         } finally {
             this.hideLoading();
         }
     }
 
-    isValidUrl(string) {
+    // Checks a fetchCapabilityStatement() result and describes where it came from
+    readFetchedStatement(url, { data, format, via, discoveredUrl, discoveryTried }) {
+        if (!FHIRCapabilityCore.isValidCapabilityStatement(data)) {
+            if (data?.resourceType === 'TerminologyCapabilities') {
+                throw new Error('The response is a TerminologyCapabilities resource (mode=terminology). Load the server\'s CapabilityStatement and open the Terminology tab to view it.');
+            }
+            throw new Error(discoveryTried
+                ? `Neither ${url} nor ${discoveryTried} returned a FHIR CapabilityStatement${data?.resourceType ? ` (the first returned a ${data.resourceType} resource)` : ''}`
+                : 'The response does not appear to be a valid FHIR CapabilityStatement');
+        }
+
+        // A base URL was entered and the statement was found at <base>/metadata
+        const statementUrl = discoveredUrl || url;
+        return {
+            data,
+            source: { type: 'url', url: statementUrl, label: statementUrl, format, via, discoveredFrom: discoveredUrl ? url : undefined }
+        };
+    }
+
+    async loadCapabilityStatementFromFile(file) {
+        let text;
         try {
-            new URL(string);
-            return true;
-        } catch (_) {
-            return false;
+            text = await this.readFileAsText(file);
+        } catch (error) {
+            console.error('Error reading file:', error);
+            this.hideResults();
+            this.showError(`Unable to read ${file.name}: ${error.message}`);
+            return;
         }
+        this.loadCapabilityStatementFromText(text, { type: 'file', label: file.name });
     }
 
-    isValidCapabilityStatement(data) {
-        return data && 
-               data.resourceType === 'CapabilityStatement' &&
-               data.fhirVersion;
+    readFileAsText(file) {
+        // FileReader rather than file.text() to keep older Safari working
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Unknown read error'));
+            reader.readAsText(file);
+        });
     }
 
-    showLoading() {
-        document.getElementById('loading-section').style.display = 'block';
-        document.getElementById('load-button').disabled = true;
+    loadCapabilityStatementFromText(text, source) {
+        this.hideError();
+        this.hideResults();
+
+        if (!text.trim()) {
+            this.showError('Please paste CapabilityStatement JSON or XML, or choose a file');
+            return;
+        }
+
+        try {
+            const data = FHIRCapabilityCore.parseFhirResourceText(text);
+
+            if (!FHIRCapabilityCore.isValidCapabilityStatement(data)) {
+                throw new Error(`${source.label} does not appear to be a valid FHIR CapabilityStatement`);
+            }
+
+            this.setCapabilityStatement(data, { ...source, format: FHIRCapabilityCore.detectContentFormat(text) });
+        } catch (error) {
+            console.error('Error loading CapabilityStatement:', error);
+            this.showError(error.message);
+        }
     }
 
-    hideLoading() {
-        document.getElementById('loading-section').style.display = 'none';
-        document.getElementById('load-button').disabled = false;
+    setCapabilityStatement(data, source) {
+        const { release, data: normalized } = FHIRCapabilityCore.normalizeCapabilityStatement(data);
+        this.sourceData = data;
+        this.fhirRelease = release;
+        this.capabilityData = normalized;
+        this.currentSource = source;
+        this.displayCapabilityStatement();
     }
 
-    showError(message) {
-        document.getElementById('error-text').textContent = message;
-        document.getElementById('error-section').style.display = 'block';
+    getRequestFormat() {
+        return document.getElementById('request-format').value;
     }
 
-    hideError() {
-        document.getElementById('error-section').style.display = 'none';
+    getRequestOptions() {
+        const preferredFormat = this.getRequestFormat();
+        const chosenAccept = document.getElementById('accept-type').value;
+        const accept = chosenAccept || (preferredFormat === 'xml'
+            ? 'application/fhir+xml, application/xml'
+            : 'application/fhir+json, application/json');
+
+        // An explicit Accept choice decides _format too, so the two never contradict each other
+        let format = preferredFormat;
+        if (chosenAccept) {
+            format = chosenAccept.includes('xml') ? 'xml' : chosenAccept.includes('json') ? 'json' : null;
+        }
+
+        const headers = { 'Accept': accept };
+        let hasCredentials = false;
+
+        document.querySelectorAll('#custom-headers .custom-header-row').forEach(row => {
+            const name = row.querySelector('.custom-header-name').value.trim();
+            const value = row.querySelector('.custom-header-value').value.trim();
+            if (!name) {
+                return;
+            }
+            if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+                throw new Error(`"${name}" is not a valid HTTP header name`);
+            }
+            headers[name] = value;
+            hasCredentials = true;
+        });
+
+        const token = document.getElementById('auth-token').value.trim().replace(/^Bearer\s+/i, '');
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+            hasCredentials = true;
+        }
+
+        return { format, headers, hasCredentials };
     }
 
-    hideResults() {
-        document.getElementById('results-section').style.display = 'none';
+    // withCredentials: false leaves out the token and custom headers (the dashboard talks to many servers).
+    // requestOptions lets a caller that already read the request settings pass them in.
+    async fetchCapabilityStatement(url, { withCredentials = true, requestOptions = null } = {}) {
+        const { format, headers, hasCredentials } = requestOptions || this.getRequestOptions();
+        return FHIRCapabilityCore.fetchCapabilityStatement(url, {
+            format,
+            headers: withCredentials ? headers : { 'Accept': headers['Accept'] },
+            // Credentials are never sent through the CORS proxy
+            allowProxy: !(withCredentials && hasCredentials),
+            buildProxyUrl: requestUrl => this.buildProxyUrl(requestUrl)
+        });
     }
 
-    showResults() {
-        document.getElementById('results-section').style.display = 'block';
+    restoreProxySettings() {
+        let settings = null;
+        try {
+            settings = JSON.parse(localStorage.getItem(PROXY_SETTINGS_KEY));
+        } catch (error) {
+            // Storage can be unavailable (private browsing, file://); the defaults apply
+        }
+        if (settings?.mode) {
+            document.getElementById('proxy-mode').value = settings.mode;
+            document.getElementById('proxy-template').value = settings.template || '';
+        }
+        this.updateProxyInputs();
     }
 
-    displayCapabilityStatement() {
-        this.renderOverview();
-        this.renderResources();
-        this.renderInteractions();
-        this.renderOperations();
-        this.renderSearchParameters();
-        this.renderSecurity();
-        this.renderRawData();
-        this.showResults();
+    saveProxySettings() {
+        this.updateProxyInputs();
+        try {
+            localStorage.setItem(PROXY_SETTINGS_KEY, JSON.stringify({
+                mode: document.getElementById('proxy-mode').value,
+                template: document.getElementById('proxy-template').value.trim()
+            }));
+        } catch (error) {
+            console.warn('Unable to save proxy settings:', error);
+        }
     }
 
-    renderOverview() {
-        const data = this.capabilityData;
-        const overviewContent = document.getElementById('overview-content');
-        
-        const overviewHtml = `
-            <div class="overview-grid">
-                <div class="overview-card">
-                    <h3>Server Name</h3>
-                    <p>${data.name || 'Not specified'}</p>
-                </div>
-                <div class="overview-card">
-                    <h3>FHIR Version</h3>
-                    <p>${data.fhirVersion}</p>
-                </div>
-                <div class="overview-card">
-                    <h3>Status</h3>
-                    <p>${data.status || 'Unknown'}</p>
-                </div>
-                <div class="overview-card">
-                    <h3>Date</h3>
-                    <p>${data.date ? new Date(data.date).toLocaleDateString() : 'Not specified'}</p>
-                </div>
-                <div class="overview-card">
-                    <h3>Publisher</h3>
-                    <p>${data.publisher || 'Not specified'}</p>
-                </div>
-                <div class="overview-card">
-                    <h3>Software/Name</h3>
-                    <p>${data.software?.name || 'Not specified'}</p>
-                </div>
-                <div class="overview-card">
-                    <h3>Kind</h3>
-                    <p>${data.kind || 'Not specified'}</p>
-                </div>
-            </div>
-            ${this.renderContactInfo(data.contact)}
-            ${data.description ? `<div style="margin-top: 1rem;"><h3>Description</h3><p>${data.description}</p></div>` : ''}
-        `;
-        
-        overviewContent.innerHTML = overviewHtml;
+    updateProxyInputs() {
+        const mode = document.getElementById('proxy-mode').value;
+        document.getElementById('proxy-template-field').style.display = mode === 'custom' ? 'flex' : 'none';
+        document.getElementById('proxy-local-note').style.display = mode === 'local' ? 'block' : 'none';
     }
 
-    renderContactInfo(contacts) {
-        if (!contacts || contacts.length === 0) {
+    buildProxyUrl(requestUrl) {
+        const mode = document.getElementById('proxy-mode').value;
+        const template = mode === 'custom'
+            ? document.getElementById('proxy-template').value.trim()
+            : PROXY_PRESETS[mode];
+        if (!template) {
+            return null;
+        }
+
+        const encodedUrl = encodeURIComponent(requestUrl);
+        const proxiedUrl = template.includes('{url}') ? template.replace('{url}', encodedUrl) : template + encodedUrl;
+        if (!this.isValidUrl(proxiedUrl)) {
+            throw new Error(`The CORS proxy template does not produce a valid URL: ${template}`);
+        }
+        return proxiedUrl;
+    }
+
+    describeFetchPath(via) {
+        if (!via) {
             return '';
         }
+        return via.type === 'proxy' ? `via CORS proxy (${via.host})` : 'direct connection';
+    }
 
-        let contactHtml = '<div style="margin-top: 1.5rem;"><h3>Contact Information</h3>';
-        
-        contacts.forEach((contact, index) => {
-            contactHtml += '<div class="contact-card">';
-            
-            // Contact name
-            if (contact.name) {
-                contactHtml += `<div class="contact-field"><strong>Name:</strong> ${contact.name}</div>`;
-            }
-            
-            // Telecom information (phone, email, url, etc.)
-            if (contact.telecom && contact.telecom.length > 0) {
-                contact.telecom.forEach(telecom => {
-                    const system = telecom.system || 'contact';
-                    const value = telecom.value || '';
-                    const use = telecom.use ? ` (${telecom.use})` : '';
-                    
-                    if (value) {
-                        let displayValue = value;
-                        
-                        // Make URLs clickable
-                        if (system === 'url' || value.startsWith('http')) {
-                            displayValue = `<a href="${value}" target="_blank" rel="noopener noreferrer">${value}</a>`;
-                        }
-                        // Make emails clickable
-                        else if (system === 'email' || value.includes('@')) {
-                            displayValue = `<a href="mailto:${value}">${value}</a>`;
-                        }
-                        
-                        contactHtml += `<div class="contact-field"><strong>${system.charAt(0).toUpperCase() + system.slice(1)}:</strong> ${displayValue}${use}</div>`;
-                    }
-                });
-            }
-            
-            contactHtml += '</div>';
-            
-            // Add separator between multiple contacts
-            if (index < contacts.length - 1) {
-                contactHtml += '<hr class="contact-separator">';
-            }
+    // publicProxy: false skips the public preset, leaving only a local or custom proxy
+    fetchText(requestUrl, headers, { allowProxy = true, returnHttpErrors = false, publicProxy = true } = {}) {
+        // Direct first, then the CORS proxy chosen under "Advanced request options"
+        return FHIRCapabilityCore.fetchText(requestUrl, headers, {
+            allowProxy,
+            returnHttpErrors,
+            buildProxyUrl: targetUrl => !publicProxy && this.usesPublicProxy() ? null : this.buildProxyUrl(targetUrl)
         });
-        
-        contactHtml += '</div>';
-        return contactHtml;
     }
 
-    renderResources() {
-        const resourcesTab = document.getElementById('resources-tab');
-        const resources = this.capabilityData.rest?.[0]?.resource || [];
-        
-        if (resources.length === 0) {
-            resourcesTab.innerHTML = '<p>No resources found in this CapabilityStatement.</p>';
-            return;
-        }
+    usesPublicProxy() {
+        return document.getElementById('proxy-mode').value === 'public';
+    }
 
-        const resourcesHtml = resources.map((resource, index) => {
-            const interactions = resource.interaction?.map(i => i.code).join(', ') || 'None';
-            const searchParams = resource.searchParam?.map(p => p.name).join(', ') || 'None';
-            
+    addCustomHeaderRow(name = '', value = '') {
+        const row = document.createElement('div');
+        row.className = 'custom-header-row';
+        row.innerHTML = `
+            <input type="text" class="custom-header-name" placeholder="Header name" autocomplete="off">
+            <input type="text" class="custom-header-value" placeholder="Value" autocomplete="off">
+            <button type="button" class="remove-header-button" title="Remove header">✕</button>
+        `;
+        row.querySelector('.custom-header-name').value = name;
+        row.querySelector('.custom-header-value').value = value;
+        row.querySelector('.remove-header-button').addEventListener('click', () => row.remove());
+        document.getElementById('custom-headers').appendChild(row);
+    }
+
+    // Everything a server sends is untrusted: renderers pass it through escapeHtml
+    // (text and attributes), sanitizeUrl (href/src) or renderMarkdown (FHIR markdown)
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    sanitizeUrl(url) {
+        const value = String(url ?? '').trim();
+        // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+        const scheme = value.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+            return '';
+        }
+        return value;
+    }
+
+    renderLink(url, text = url) {
+        const href = this.sanitizeUrl(url);
+        if (!href) {
+            return this.escapeHtml(text);
+        }
+        return `<a href="${this.escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(text)}</a>`;
+    }
+
+    renderMarkdown(markdown) {
+        if (markdown === undefined || markdown === null || markdown === '') {
+            return '';
+        }
+
+        const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push(`<p>${paragraph.map(line => this.renderInlineMarkdown(line)).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                html.push(`<${list.tag}>${list.items.map(item => `<li>${this.renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+                list = null;
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (/^\s*```/.test(line)) {
+                flushParagraph();
+                flushList();
+                const code = [];
+                while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+                    code.push(lines[i]);
+                }
+                html.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+            if (heading) {
+                flushParagraph();
+                flushList();
+                // Document headings would outrank the viewer's own, so start at h4
+                const level = Math.min(heading[1].length + 3, 6);
+                html.push(`<h${level}>${this.renderInlineMarkdown(heading[2])}</h${level}>`);
+                continue;
+            }
+
+            const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+            if (item) {
+                flushParagraph();
+                const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+                if (list?.tag !== tag) {
+                    flushList();
+                    list = { tag, items: [] };
+                }
+                list.items.push(item[2]);
+                continue;
+            }
+
+            if (!line.trim()) {
+                flushParagraph();
+                flushList();
+                continue;
+            }
+
+            if (list && /^\s+/.test(line)) {
+                // Indented continuation of the previous list item
+                list.items[list.items.length - 1] += ` ${line.trim()}`;
+                continue;
+            }
+
+            flushList();
+            paragraph.push(line.trim());
+        }
+        flushParagraph();
+        flushList();
+
+        return `<div class="markdown">${html.join('')}</div>`;
+    }
+
+    renderInlineMarkdown(text) {
+        // Code spans and generated link tags are set aside so emphasis never reaches
+        // their content or an href
+        const placeholders = [];
+        const setAside = html => {
+            placeholders.push(html);
+            return `\u0000${placeholders.length - 1}\u0000`;
+        };
+        let html = this.escapeHtml(String(text).replace(/\u0000/g, ''))
+            .replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${code}</code>`));
+
+        html = html
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                // label and url are already escaped at this point
+                const href = this.sanitizeUrl(url);
+                return href ? `${setAside(`<a href="${href}" target="_blank" rel="noopener noreferrer">`)}${label}</a>` : label;
+            })
+            .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '<strong>$2</strong>')
+            .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?!\w)/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+    }
+
+    describeLoadError(error) {
+        let errorMessage = error.message;
+        
+        // Provide more helpful error messages for common issues
+        if (error.status === 401 || error.status === 403) {
+            errorMessage = `The FHIR server rejected the request (${error.message}). It requires authentication or additional headers.
+            
+            Open "Advanced request options" to:
+            • Add a Bearer access token
+            • Add vendor-specific headers (e.g. an API key or client id)
+            
+            The public CORS proxy is not tried for authorization failures.`;
+        } else if (error.authenticated) {
+            errorMessage = `${error.message}
+            
+            Requests with a token or custom headers are only sent directly to the FHIR server, never through the CORS proxy. Make sure the server allows cross-origin requests with these headers (CORS preflight).`;
+        } else if (error.proxyDisabled) {
+            errorMessage = `${error.message}
+            
+            The CORS proxy is turned off, so nothing else was tried. The server may not allow cross-origin requests from this page. Choose a custom or local proxy under "Advanced request options", or run the bundled proxy (node proxy/cors-proxy.js).`;
+        } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+            errorMessage = `Network error: Unable to fetch data from the FHIR server. This might be due to:
+            • CORS (Cross-Origin Resource Sharing) restrictions
+            • Network connectivity issues
+            • Invalid URL or server not responding
+            
+            Try:
+            • Checking if the URL is correct and accessible in a browser
+            • Using a different FHIR server that allows CORS
+            • Running this application from an HTTPS server instead of file://`;
+        } else if (error.message.includes('Proxy request failed')) {
+            errorMessage = `Both direct connection and proxy failed. The FHIR server might be:
+            • Temporarily unavailable
+            • Requiring authentication
+            • Behind a firewall that blocks external access
+            
+            Please verify the URL is correct and try again later.`;
+        }
+
+        if (error.discoveryTried) {
+            errorMessage += `
+            
+            The URL does not end in /metadata, so ${error.discoveryTried} was tried as well and also failed.`;
+        }
+        
+        return errorMessage;
+    }
+
+    isValidUrl(string) {
+        try {
+            new URL(string);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    openHistoryDb() {
+        if (!this.historyDbPromise) {
+            this.historyDbPromise = new Promise(resolve => {
+                // History is optional: without IndexedDB (or when it is blocked) the viewer works as before
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    const request = indexedDB.open(HISTORY_DB_NAME, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(HISTORY_STORE, { keyPath: 'url' });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('History is unavailable:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    console.warn('History is unavailable:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.historyDbPromise;
+    }
+
+    async historyRequest(mode, operation) {
+        const db = await this.openHistoryDb();
+        if (!db) {
+            return null;
+        }
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getHistoryEntries() {
+        const entries = await this.historyRequest('readonly', store => store.getAll()) || [];
+        // Pinned entries first, then most recently fetched
+        return entries.sort((a, b) => (b.pinned - a.pinned) || b.fetchedAt.localeCompare(a.fetchedAt));
+    }
+
+    async getHistoryEntry(url) {
+        try {
+            return await this.historyRequest('readonly', store => store.get(url)) || null;
+        } catch (error) {
+            console.warn('Unable to read history:', error);
+            return null;
+        }
+    }
+
+    // Statements found through a base URL are stored under their /metadata URL
+    async findCachedStatement(url) {
+        const entry = await this.getHistoryEntry(url);
+        if (entry || FHIRCapabilityCore.isMetadataUrl(url)) {
+            return entry;
+        }
+        return this.getHistoryEntry(FHIRCapabilityCore.buildMetadataUrl(url));
+    }
+
+    async saveHistoryEntry(url, data, format) {
+        try {
+            const existing = await this.getHistoryEntry(url);
+            await this.historyRequest('readwrite', store => store.put({
+                url,
+                data,
+                format,
+                fetchedAt: new Date().toISOString(),
+                title: data.title || data.name || '',
+                name: existing?.name || '',
+                pinned: existing?.pinned || false
+            }));
+
+            // Only unpinned entries are pruned
+            const unpinned = (await this.getHistoryEntries()).filter(entry => !entry.pinned);
+            for (const entry of unpinned.slice(HISTORY_LIMIT)) {
+                await this.historyRequest('readwrite', store => store.delete(entry.url));
+            }
+        } catch (error) {
+            // A full or blocked store must never break loading
+            console.warn('Unable to save history:', error);
+        }
+        this.renderHistory();
+    }
+
+    async handleHistoryAction(action, url) {
+        const entry = await this.getHistoryEntry(url);
+        if (!entry) {
+            this.renderHistory();
+            return;
+        }
+
+        if (action === 'open') {
+            this.openHistoryEntry(entry);
+            return;
+        }
+
+        if (action === 'pin') {
+            entry.pinned = !entry.pinned;
+        } else if (action === 'rename') {
+            const name = prompt('Name for this server', entry.name || entry.title || entry.url);
+            if (name === null) {
+                return;
+            }
+            entry.name = name.trim();
+        } else if (action === 'delete') {
+            if (!confirm(`Remove ${entry.name || entry.url} from the history?`)) {
+                return;
+            }
+        }
+
+        try {
+            await this.historyRequest('readwrite', store => action === 'delete' ? store.delete(url) : store.put(entry));
+        } catch (error) {
+            console.warn('Unable to update history:', error);
+        }
+        this.renderHistory();
+    }
+
+    openHistoryEntry(entry, unreachableReason = null) {
+        document.getElementById('fhir-url').value = entry.url;
+        this.hideError();
+        this.setCapabilityStatement(entry.data, {
+            type: 'url',
+            url: entry.url,
+            label: entry.url,
+            format: entry.format,
+            cachedAt: entry.fetchedAt,
+            unreachableReason
+        });
+    }
+
+    toggleHistory(open) {
+        const sidebar = document.getElementById('history-sidebar');
+        const shouldOpen = open ?? !sidebar.classList.contains('open');
+        sidebar.classList.toggle('open', shouldOpen);
+        if (shouldOpen) {
+            this.renderHistory();
+        }
+    }
+
+    async renderHistory() {
+        const list = document.getElementById('history-list');
+        if (!await this.openHistoryDb()) {
+            list.innerHTML = '<p class="diff-none">History is not available in this browser.</p>';
+            return;
+        }
+
+        const entries = await this.getHistoryEntries();
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="diff-none">Statements you load from a URL are listed here.</p>';
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => {
+            const url = this.escapeHtml(entry.url);
+            return `
+                <div class="history-entry${entry.pinned ? ' pinned' : ''}">
+                    <button class="history-open" data-history-action="open" data-url="${url}" title="Open the cached copy">
+                        <strong>${entry.pinned ? '📌 ' : ''}${this.escapeHtml(entry.name || entry.title || entry.url)}</strong>
+                        <small>${url}</small>
+                        <small>Fetched ${this.escapeHtml(new Date(entry.fetchedAt).toLocaleString())}</small>
+                    </button>
+                    <div class="history-actions">
+                        <button data-history-action="pin" data-url="${url}">${entry.pinned ? 'Unpin' : 'Pin'}</button>
+                        <button data-history-action="rename" data-url="${url}">Rename</button>
+                        <button data-history-action="delete" data-url="${url}">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderCacheBanner() {
+        const banner = document.getElementById('cache-banner');
+        const source = this.currentSource;
+        if (!source?.cachedAt) {
+            banner.style.display = 'none';
+            banner.innerHTML = '';
+            return;
+        }
+
+        banner.innerHTML = `
+            <span>
+                <strong>Cached from ${this.escapeHtml(new Date(source.cachedAt).toLocaleString())}.</strong>
+                ${source.unreachableReason
+                    ? `The server could not be reached (${this.escapeHtml(source.unreachableReason)}), so the last stored copy is shown.`
+                    : 'This is the stored copy, not a fresh response from the server.'}
+            </span>
+            <button id="cache-reload-button" class="definition-button">Reload from server</button>
+        `;
+        banner.style.display = 'flex';
+    }
+
+    // Pulls http(s) URLs out of pasted or imported text, whether one per line, CSV or a JSON array
+    parseServerList(text) {
+        const urls = String(text).match(/https?:\/\/[^\s,;"'<>()[\]{}]+/g) || [];
+        return [...new Set(urls)];
+    }
+
+    async importServerList(file) {
+        const status = document.getElementById('dashboard-status');
+        let urls;
+        try {
+            urls = this.parseServerList(await this.readFileAsText(file));
+        } catch (error) {
+            console.error('Error reading server list:', error);
+            status.textContent = `Unable to read ${file.name}: ${error.message}`;
+            return;
+        }
+        if (urls.length === 0) {
+            status.textContent = `${file.name} does not contain any http(s) URLs`;
+            return;
+        }
+
+        const textarea = document.getElementById('dashboard-urls');
+        const merged = this.parseServerList(`${textarea.value}\n${urls.join('\n')}`);
+        textarea.value = merged.join('\n');
+        this.loadDashboard(merged);
+    }
+
+    async loadDashboard(urls) {
+        const status = document.getElementById('dashboard-status');
+        if (urls.length === 0) {
+            status.textContent = 'Enter at least one http(s) URL, one per line';
+            return;
+        }
+        let requestOptions;
+        try {
+            requestOptions = this.getRequestOptions();
+        } catch (error) {
+            status.textContent = error.message;
+            return;
+        }
+        status.textContent = '';
+
+        const dashboard = {
+            workspace: document.getElementById('workspace-select').value || null,
+            servers: urls.map(url => ({ url, status: 'loading' })),
+            interaction: this.dashboard?.interaction || ''
+        };
+        this.dashboard = dashboard;
+        document.getElementById('dashboard-section').style.display = 'block';
+        this.renderDashboard();
+
+        // A small worker pool keeps dozens of servers (and the CORS proxy) from being hit all at once
+        await this.runWithConcurrency(dashboard.servers, DASHBOARD_CONCURRENCY, async server => {
+            // A newer dashboard replaced this one
+            if (this.dashboard !== dashboard) {
+                return;
+            }
+            await this.loadDashboardServer(server, requestOptions);
+            if (this.dashboard === dashboard) {
+                this.renderDashboard();
+            }
+        });
+    }
+
+    async loadDashboardServer(server, requestOptions) {
+        let fetched;
+        try {
+            fetched = await this.fetchCapabilityStatement(server.url, { withCredentials: false, requestOptions });
+        } catch (fetchError) {
+            // Same fallback as the main loader: only an unreachable server shows its cached copy
+            const cached = FHIRCapabilityCore.isNetworkFailure(fetchError)
+                ? await this.findCachedStatement(server.url)
+                : null;
+            if (!cached) {
+                Object.assign(server, { status: 'error', error: fetchError.message });
+                return;
+            }
+            this.setDashboardStatement(server, cached.data, {
+                type: 'url',
+                url: cached.url,
+                label: cached.url,
+                format: cached.format,
+                cachedAt: cached.fetchedAt,
+                unreachableReason: fetchError.message
+            });
+            return;
+        }
+
+        // Dashboard loads stay out of the history, which a large workspace would otherwise flush
+        try {
+            const { data, source } = this.readFetchedStatement(server.url, fetched);
+            this.setDashboardStatement(server, data, source);
+        } catch (error) {
+            Object.assign(server, { status: 'error', error: error.message });
+        }
+    }
+
+    setDashboardStatement(server, data, source) {
+        const { release, data: statement } = FHIRCapabilityCore.normalizeCapabilityStatement(data);
+        Object.assign(server, {
+            status: 'loaded',
+            data,
+            source,
+            release,
+            statement,
+            coverage: this.getServerCoverage(statement),
+            error: null
+        });
+    }
+
+    // Resource type → declared interaction codes, from the server endpoint (or the first one)
+    getServerCoverage(statement) {
+        const rest = statement.rest?.find(entry => entry.mode === 'server') || statement.rest?.[0];
+        return new Map((rest?.resource || [])
+            .filter(resource => resource.type)
+            .map(resource => [resource.type, new Set((resource.interaction || []).map(interaction => interaction.code))]));
+    }
+
+    getDashboardLabel(server) {
+        const statement = server.statement;
+        if (statement?.title || statement?.name) {
+            return statement.title || statement.name;
+        }
+        try {
+            return new URL(server.url).host;
+        } catch (error) {
+            return server.url;
+        }
+    }
+
+    openDashboardServer(index) {
+        const server = this.dashboard?.servers[index];
+        if (server?.status !== 'loaded') {
+            return;
+        }
+        document.getElementById('fhir-url').value = server.source.url;
+        this.hideError();
+        this.setCapabilityStatement(server.data, server.source);
+        document.getElementById('results-section').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    renderDashboard() {
+        const content = document.getElementById('dashboard-content');
+        const { servers, workspace } = this.dashboard;
+        const loaded = servers.filter(server => server.status === 'loaded');
+        const failed = servers.filter(server => server.status === 'error');
+        const pending = servers.length - loaded.length - failed.length;
+
+        const loadResult = server => {
+            if (server.status === 'loading') {
+                return '<span class="dashboard-pending">Loading...</span>';
+            }
+            if (server.status === 'error') {
+                return `<span class="dashboard-error">${this.escapeHtml(server.error)}</span>`;
+            }
+            const { source } = server;
+            if (source.cachedAt) {
+                return `<span class="dashboard-cached" title="${this.escapeHtml(source.unreachableReason)}">Cached from ${this.escapeHtml(new Date(source.cachedAt).toLocaleString())}</span>`;
+            }
+            return `
+                <span class="dashboard-ok">Served ${this.escapeHtml(this.describeFetchPath(source.via))}</span>
+                ${source.discoveredFrom ? `<br><small>Found at ${this.escapeHtml(source.url)}</small>` : ''}
+            `;
+        };
+
+        content.innerHTML = `
+            <div class="dashboard-heading">
+                <h2>${workspace ? `Workspace: ${this.escapeHtml(workspace)}` : 'Server Dashboard'}</h2>
+                <span class="definition-status" id="dashboard-progress">${loaded.length} of ${servers.length} loaded${failed.length > 0 ? `, ${failed.length} failed` : ''}${pending > 0 ? `, ${pending} pending` : ''}</span>
+                <button id="dashboard-reload-button" class="definition-button" ${pending > 0 ? 'disabled' : ''}>Reload all</button>
+                <button id="dashboard-close-button" class="definition-button">Close</button>
+            </div>
+            <div class="matrix-scroll">
+                <table class="interaction-matrix dashboard-servers">
+                    <thead>
+                        <tr>
+                            <th>Server</th>
+                            <th>FHIR Version</th>
+                            <th>Software</th>
+                            <th>Status</th>
+                            <th>Resources</th>
+                            <th>Load Result</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${servers.map((server, index) => {
+                            const statement = server.statement;
+                            return `
+                                <tr class="dashboard-row-${server.status}">
+                                    <th>
+                                        <strong>${index + 1}. ${this.escapeHtml(this.getDashboardLabel(server))}</strong>
+                                        <br><small>${this.escapeHtml(server.url)}</small>
+                                    </th>
+                                    <td>${statement ? `${this.escapeHtml(statement.fhirVersion)} <span class="release-badge" title="Detected FHIR release">${this.escapeHtml(server.release)}</span>` : '–'}</td>
+                                    <td>${statement?.software ? this.escapeHtml([statement.software.name, statement.software.version].filter(Boolean).join(' ')) : '–'}</td>
+                                    <td>${this.escapeHtml(statement?.status || '–')}</td>
+                                    <td>${server.coverage ? server.coverage.size : '–'}</td>
+                                    <td class="dashboard-load">${loadResult(server)}</td>
+                                    <td>${server.status === 'loaded' ? `<button class="definition-button" data-dashboard-open="${index}">Open</button>` : ''}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${this.renderCoverageHeatmap()}
+        `;
+    }
+
+    renderCoverageHeatmap() {
+        const { servers, interaction } = this.dashboard;
+        const columns = servers
+            .map((server, index) => ({ server, index }))
+            .filter(({ server }) => server.status === 'loaded');
+
+        if (columns.length === 0) {
+            return '<p class="diff-none">The coverage heat map appears once a server has loaded.</p>';
+        }
+
+        const types = [...new Set(columns.flatMap(({ server }) => [...server.coverage.keys()]))].sort();
+        const renderCell = (server, type) => {
+            const label = `${this.getDashboardLabel(server)} – ${type}`;
+            const codes = server.coverage.get(type);
+            if (!codes) {
+                return `<td class="heat-cell heat-missing" title="${this.escapeHtml(label)}: not listed">–</td>`;
+            }
+            if (interaction) {
+                return codes.has(interaction)
+                    ? `<td class="heat-cell heat-level-4" title="${this.escapeHtml(`${label}: ${interaction} supported`)}">✓</td>`
+                    : `<td class="heat-cell heat-level-0" title="${this.escapeHtml(`${label}: ${interaction} not supported`)}">✗</td>`;
+            }
+            const supported = MATRIX_INTERACTIONS.filter(code => codes.has(code));
+            const level = Math.ceil(supported.length / MATRIX_INTERACTIONS.length * 4);
+            return `<td class="heat-cell heat-level-${level}" title="${this.escapeHtml(`${label}: ${supported.join(', ') || 'no interactions declared'}`)}">${supported.length}</td>`;
+        };
+
+        return `
+            <div class="matrix-heading">
+                <h3>Resource Coverage</h3>
+                <label class="dashboard-interaction">
+                    Show
+                    <select id="dashboard-interaction">
+                        <option value="">All interactions (count)</option>
+                        ${MATRIX_INTERACTIONS.map(code => `
+                            <option value="${code}" ${interaction === code ? 'selected' : ''}>${code}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            <p class="heatmap-legend">
+                ${interaction
+                    ? `✓ means the server declares <code>${this.escapeHtml(interaction)}</code> for the resource`
+                    : `Cells count the supported interactions out of ${MATRIX_INTERACTIONS.length} (${MATRIX_INTERACTIONS.join(', ')})`};
+                – means the resource is not listed.
+            </p>
+            <div class="matrix-scroll">
+                <table class="interaction-matrix coverage-heatmap">
+                    <thead>
+                        <tr>
+                            <th>Resource</th>
+                            <th>Servers</th>
+                            ${columns.map(({ server, index }) => `
+                                <th title="${this.escapeHtml(server.url)}">${index + 1}. ${this.escapeHtml(this.getDashboardLabel(server))}</th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${types.map(type => `
+                            <tr data-resource-type="${this.escapeHtml(type)}">
+                                <th>${this.escapeHtml(type)}</th>
+                                <td>${columns.filter(({ server }) => server.coverage.has(type)).length}/${columns.length}</td>
+                                ${columns.map(({ server }) => renderCell(server, type)).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getWorkspaces() {
+        try {
+            return JSON.parse(localStorage.getItem(WORKSPACES_KEY)) || {};
+        } catch (error) {
+            // Storage can be unavailable (private browsing, file://); there are no workspaces then
+            return {};
+        }
+    }
+
+    storeWorkspaces(workspaces) {
+        try {
+            localStorage.setItem(WORKSPACES_KEY, JSON.stringify(workspaces));
+            return true;
+        } catch (error) {
+            console.warn('Unable to save workspaces:', error);
+            return false;
+        }
+    }
+
+    renderWorkspaceOptions(selected = '') {
+        const workspaces = this.getWorkspaces();
+        const select = document.getElementById('workspace-select');
+        select.innerHTML = `
+            <option value="">${Object.keys(workspaces).length > 0 ? 'Choose a workspace' : 'No saved workspaces'}</option>
+            ${Object.keys(workspaces).sort().map(name => `
+                <option value="${this.escapeHtml(name)}">${this.escapeHtml(name)} (${workspaces[name].urls.length})</option>
+            `).join('')}
+        `;
+        select.value = selected;
+    }
+
+    openWorkspace(name) {
+        const workspace = this.getWorkspaces()[name];
+        if (!workspace) {
+            return;
+        }
+        document.getElementById('dashboard-urls').value = workspace.urls.join('\n');
+        this.loadDashboard(workspace.urls);
+    }
+
+    saveWorkspace() {
+        const status = document.getElementById('dashboard-status');
+        const urls = this.parseServerList(document.getElementById('dashboard-urls').value);
+        if (urls.length === 0) {
+            status.textContent = 'Enter at least one http(s) URL, one per line';
+            return;
+        }
+
+        const current = document.getElementById('workspace-select').value;
+        const name = prompt('Name for this workspace', current)?.trim();
+        if (!name) {
+            return;
+        }
+        const workspaces = this.getWorkspaces();
+        if (workspaces[name] && name !== current && !confirm(`Replace the workspace "${name}"?`)) {
+            return;
+        }
+
+        workspaces[name] = { urls, savedAt: new Date().toISOString() };
+        if (!this.storeWorkspaces(workspaces)) {
+            status.textContent = 'Workspaces cannot be saved in this browser';
+            return;
+        }
+        this.renderWorkspaceOptions(name);
+        status.textContent = `Saved "${name}" with ${urls.length} server${urls.length === 1 ? '' : 's'}`;
+        if (this.dashboard) {
+            this.dashboard.workspace = name;
+            this.renderDashboard();
+        }
+    }
+
+    deleteWorkspace() {
+        const status = document.getElementById('dashboard-status');
+        const name = document.getElementById('workspace-select').value;
+        if (!name) {
+            status.textContent = 'Choose a workspace to delete';
+            return;
+        }
+        if (!confirm(`Delete the workspace "${name}"?`)) {
+            return;
+        }
+
+        const workspaces = this.getWorkspaces();
+        delete workspaces[name];
+        this.storeWorkspaces(workspaces);
+        this.renderWorkspaceOptions();
+        status.textContent = `Deleted "${name}"`;
+        if (this.dashboard?.workspace === name) {
+            this.dashboard.workspace = null;
+            this.renderDashboard();
+        }
+    }
+
+    showLoading() {
+        document.getElementById('loading-section').style.display = 'block';
+        document.getElementById('load-button').disabled = true;
+    }
+
+    hideLoading() {
+        document.getElementById('loading-section').style.display = 'none';
+        document.getElementById('load-button').disabled = false;
+    }
+
+    showError(message) {
+        document.getElementById('error-text').textContent = message;
+        document.getElementById('error-section').style.display = 'block';
+    }
+
+    hideError() {
+        document.getElementById('error-section').style.display = 'none';
+    }
+
+    hideResults() {
+        document.getElementById('results-section').style.display = 'none';
+    }
+
+    showResults() {
+        document.getElementById('results-section').style.display = 'block';
+    }
+
+    displayCapabilityStatement() {
+        // A comparison against the previously loaded statement is now stale
+        if (this.comparison?.a.type === 'current') {
+            this.comparison = null;
+            document.getElementById('compare-results').innerHTML = '';
+        }
+
+        this.selectedRestIndex = 0;
+        this.rawDataFormat = this.currentSource?.format || 'json';
+        this.smartConfiguration = null;
+        this.terminologyCapabilities = null;
+        // Server-resolved definitions belong to the previous server; loaded packages are kept
+        this.resolvedDefinitions = new Map();
+        document.getElementById('resolve-definitions-button').disabled = false;
+        document.getElementById('definition-status').textContent = this.packageDefinitions.size > 0
+            ? `${this.packageDefinitions.size} package definitions available`
+            : '';
+        this.renderCacheBanner();
+        this.renderOverview();
+        this.renderRestSelector();
+        this.renderEndpointTabs();
+        this.renderOptionalTabs();
+        this.renderTerminology();
+        this.renderRawData();
+        this.showResults();
+
+        // Re-score the new statement against the reference that is already loaded
+        if (this.conformanceReference) {
+            this.conformanceReport = this.scoreConformance(this.conformanceReference);
+            this.renderConformanceReport();
+        }
+
+        // A page that has not recorded a view yet gets its entry replaced rather than a new one
+        this.recordViewState(Boolean(window.history.state?.viewer));
+
+        // SMART servers get their smart-configuration fetched alongside the statement
+        if (this.currentSource?.url && !this.currentSource.cachedAt && this.capabilityData.rest?.some(rest => FHIRCapabilityCore.isSmartSecurity(rest.security))) {
+            this.loadSmartConfiguration(this.getServerBaseUrl());
+        }
+        if (this.currentSource?.url && !this.currentSource.cachedAt && document.getElementById('request-terminology').checked) {
+            this.loadTerminologyCapabilities(this.getServerBaseUrl());
+        }
+    }
+
+    renderEndpointTabs() {
+        this.renderFilterFacets();
+        this.renderResources();
+        this.renderInteractions();
+        this.renderOperations();
+        this.renderSearchParameters();
+        this.renderGraph();
+        this.renderSecurity();
+        this.applyFilterDecorations();
+    }
+
+    renderFilterFacets() {
+        const resources = this.getSelectedRest()?.resource || [];
+        const interactionCodes = new Set();
+        const paramTypes = new Set();
+        resources.forEach(resource => {
+            resource.interaction?.forEach(i => interactionCodes.add(i.code));
+            resource.searchParam?.forEach(p => paramTypes.add(p.type));
+        });
+
+        // Keep the current selection when the new endpoint still offers it
+        const fillSelect = (id, label, values, selected) => {
+            const select = document.getElementById(id);
+            select.innerHTML = `<option value="">${label}</option>` +
+                [...values].sort().map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('');
+            select.value = values.has(selected) ? selected : '';
+        };
+        fillSelect('filter-interaction', 'Any interaction', interactionCodes, this.filter.interaction);
+        fillSelect('filter-param-type', 'Any parameter type', paramTypes, this.filter.paramType);
+        this.filter.interaction = document.getElementById('filter-interaction').value;
+        this.filter.paramType = document.getElementById('filter-param-type').value;
+    }
+
+    updateFilter() {
+        const previousText = this.filter.text;
+        this.filter = {
+            text: document.getElementById('filter-input').value.trim().toLowerCase(),
+            interaction: document.getElementById('filter-interaction').value,
+            paramType: document.getElementById('filter-param-type').value,
+            hasOperations: document.getElementById('filter-has-operations').checked
+        };
+        if (this.capabilityData) {
+            this.renderEndpointTabs();
+            // Matches are easier to spot when their cards are already open. Only a new filter
+            // text opens them, so other re-renders (such as a matrix sort) never reopen closed cards
+            if (this.filter.text && this.filter.text !== previousText) {
+                ['resources-tab', 'interactions-tab', 'operations-tab', 'search-tab'].forEach(id => {
+                    this.setCardsExpanded(document.getElementById(id), true);
+                });
+            }
+            this.recordViewState(false);
+        }
+    }
+
+    isFilterActive() {
+        const { text, interaction, paramType, hasOperations } = this.filter;
+        return Boolean(text || interaction || paramType || hasOperations);
+    }
+
+    matchesFilterText(...values) {
+        return values.some(value => typeof value === 'string' && value.toLowerCase().includes(this.filter.text));
+    }
+
+    searchParamMatchesFilter(param, resourceMatchesText) {
+        if (this.filter.paramType && param.type !== this.filter.paramType) {
+            return false;
+        }
+        return !this.filter.text || resourceMatchesText || this.matchesFilterText(param.name, param.documentation, param.definition);
+    }
+
+    resourceMatchesFilter(resource) {
+        const { text, interaction, paramType, hasOperations } = this.filter;
+        if (interaction && !resource.interaction?.some(i => i.code === interaction)) {
+            return false;
+        }
+        if (paramType && !resource.searchParam?.some(p => p.type === paramType)) {
+            return false;
+        }
+        if (hasOperations && !(resource.operation?.length > 0)) {
+            return false;
+        }
+        if (!text) {
+            return true;
+        }
+        return this.matchesFilterText(
+            resource.type,
+            resource.profile,
+            resource.documentation,
+            ...(resource.supportedProfile || []),
+            ...(resource.interaction?.map(i => i.code) || []),
+            ...(resource.operation?.map(op => op.name) || [])
+        ) || resource.searchParam?.some(p => this.searchParamMatchesFilter(p, false));
+    }
+
+    getFilteredResources(resources) {
+        return this.isFilterActive() ? resources.filter(resource => this.resourceMatchesFilter(resource)) : resources;
+    }
+
+    getFilteredSearchParams(resource) {
+        const resourceMatchesText = this.matchesFilterText(resource.type);
+        return (resource.searchParam || []).filter(param => this.searchParamMatchesFilter(param, resourceMatchesText));
+    }
+
+    applyFilterDecorations() {
+        const status = document.getElementById('filter-status');
+        const resources = this.getSelectedRest()?.resource || [];
+
+        if (!this.isFilterActive()) {
+            status.textContent = '';
+            return;
+        }
+
+        status.textContent = `Showing ${this.getFilteredResources(resources).length} of ${resources.length} resources`;
+
+        if (this.filter.text) {
+            ['resources-tab', 'interactions-tab', 'operations-tab', 'search-tab'].forEach(id => {
+                this.highlightMatches(document.getElementById(id), this.filter.text);
+            });
+        }
+    }
+
+    setCardsExpanded(container, expanded) {
+        container?.querySelectorAll('.resource-card').forEach(card => {
+            const toggle = card.querySelector('.resource-header .toggle');
+            const content = card.querySelector('.resource-content');
+            // Cards without a toggle are always open
+            if (toggle && content) {
+                content.classList.toggle('active', expanded);
+                toggle.textContent = expanded ? '−' : '+';
+            }
+        });
+    }
+
+    highlightMatches(container, text) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest('select, option, textarea, script, style, mark, .request-builder')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const nodes = [];
+        while (walker.nextNode()) {
+            if (walker.currentNode.nodeValue.toLowerCase().includes(text)) {
+                nodes.push(walker.currentNode);
+            }
+        }
+
+        nodes.forEach(node => {
+            const value = node.nodeValue;
+            const lowerValue = value.toLowerCase();
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            let index = lowerValue.indexOf(text);
+            while (index !== -1) {
+                fragment.appendChild(document.createTextNode(value.slice(position, index)));
+                const mark = document.createElement('mark');
+                mark.className = 'filter-match';
+                mark.textContent = value.slice(index, index + text.length);
+                fragment.appendChild(mark);
+                position = index + text.length;
+                index = lowerValue.indexOf(text, position);
+            }
+            fragment.appendChild(document.createTextNode(value.slice(position)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    }
+
+    getSelectedRest() {
+        return this.capabilityData.rest?.[this.selectedRestIndex];
+    }
+
+    describeRestEndpoint(rest, index) {
+        const resourceCount = rest.resource?.length || 0;
+        return `Endpoint ${index + 1}: ${this.escapeHtml(rest.mode || 'mode not specified')} (${resourceCount} resource${resourceCount === 1 ? '' : 's'})`;
+    }
+
+    renderRestSelector() {
+        const selector = document.getElementById('rest-selector');
+        const select = document.getElementById('rest-endpoint-select');
+        const restEntries = this.capabilityData.rest || [];
+
+        select.innerHTML = restEntries.map((rest, index) =>
+            `<option value="${index}">${this.describeRestEndpoint(rest, index)}</option>`
+        ).join('');
+        select.value = String(this.selectedRestIndex);
+
+        // Only offer the selector when there is something to choose between
+        selector.style.display = restEntries.length > 1 ? 'flex' : 'none';
+    }
+
+    selectRestEndpoint(index) {
+        if (!this.capabilityData.rest?.[index]) {
+            return;
+        }
+        this.selectedRestIndex = index;
+        document.getElementById('rest-endpoint-select').value = String(index);
+        this.renderEndpointTabs();
+        this.recordViewState(false);
+    }
+
+    renderOverview() {
+        const data = this.capabilityData;
+        const overviewContent = document.getElementById('overview-content');
+        
+        const via = this.currentSource?.via;
+        const overviewHtml = `
+            ${via ? `
+                <p class="fetch-path fetch-path-${via.type}">
+                    Served ${this.escapeHtml(this.describeFetchPath(via))} from ${this.escapeHtml(this.currentSource.url)}
+                    ${this.currentSource.discoveredFrom ? `<br><small>Found at /metadata; ${this.escapeHtml(this.currentSource.discoveredFrom)} did not return a CapabilityStatement</small>` : ''}
+                </p>
+            ` : ''}
+            <div class="overview-grid">
+                <div class="overview-card">
+                    <h3>Server Name</h3>
+                    <p>${this.escapeHtml(data.name || 'Not specified')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>FHIR Version</h3>
+                    <p>${this.escapeHtml(data.fhirVersion)} <span class="release-badge" title="Detected FHIR release">${this.escapeHtml(this.fhirRelease)}</span></p>
+                    ${this.sourceData.resourceType === 'Conformance' ? '<p><small>Converted from a DSTU2 Conformance resource</small></p>' : ''}
+                </div>
+                <div class="overview-card">
+                    <h3>Status</h3>
+                    <p>${this.escapeHtml(data.status || 'Unknown')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Date</h3>
+                    <p>${data.date ? this.escapeHtml(new Date(data.date).toLocaleDateString()) : 'Not specified'}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Publisher</h3>
+                    <p>${this.escapeHtml(data.publisher || 'Not specified')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Software/Name</h3>
+                    <p>${this.escapeHtml(data.software?.name || 'Not specified')}</p>
+                    ${data.software?.version ? `<p><small>Version ${this.escapeHtml(data.software.version)}</small></p>` : ''}
+                    ${data.software?.releaseDate ? `<p><small>Released ${this.escapeHtml(new Date(data.software.releaseDate).toLocaleDateString())}</small></p>` : ''}
+                </div>
+                ${data.implementation ? `
+                    <div class="overview-card">
+                        <h3>Implementation</h3>
+                        <p>${this.escapeHtml(data.implementation.description || 'Not described')}</p>
+                        ${data.implementation.url ? `<p><small>${this.renderLink(data.implementation.url)}</small></p>` : ''}
+                    </div>
+                ` : ''}
+                <div class="overview-card">
+                    <h3>Kind</h3>
+                    <p>${this.escapeHtml(data.kind || 'Not specified')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Formats</h3>
+                    <p>${this.escapeHtml(data.format?.join(', ') || 'Not specified')}</p>
+                </div>
+                ${data.patchFormat?.length > 0 ? `
+                    <div class="overview-card">
+                        <h3>Patch Formats</h3>
+                        <p>${this.escapeHtml(data.patchFormat.join(', '))}</p>
+                    </div>
+                ` : ''}
+                ${data.jurisdiction?.length > 0 ? `
+                    <div class="overview-card">
+                        <h3>Jurisdiction</h3>
+                        <p>${this.escapeHtml(data.jurisdiction.map(jurisdiction => this.describeCodeableConcept(jurisdiction)).join(', '))}</p>
+                    </div>
+                ` : ''}
+                ${data.acceptLanguage?.length > 0 ? `
+                    <div class="overview-card">
+                        <h3>Accept Languages</h3>
+                        <p>${this.escapeHtml(data.acceptLanguage.join(', '))}</p>
+                    </div>
+                ` : ''}
+                <div class="overview-card">
+                    <h3>REST Endpoints</h3>
+                    <p>${this.escapeHtml(this.summarizeRestEndpoints(data.rest))}</p>
+                </div>
+            </div>
+            ${this.renderRestEndpointList(data.rest)}
+            ${this.renderCanonicalList('Implementation Guides', data.implementationGuide)}
+            ${this.renderCanonicalList('Instantiates', data.instantiates)}
+            ${this.renderCanonicalList('Imports', data.imports)}
+            ${this.renderContactInfo(data.contact)}
+            ${data.description ? `<div style="margin-top: 1rem;"><h3>Description</h3>${this.renderMarkdown(data.description)}</div>` : ''}
+            ${data.copyright ? `<div style="margin-top: 1rem;"><h3>Copyright</h3>${this.renderMarkdown(data.copyright)}</div>` : ''}
+            ${this.renderExtensions(data)}
+        `;
+        
+        overviewContent.innerHTML = overviewHtml;
+    }
+
+    describeCodeableConcept(concept) {
+        return concept?.text || concept?.coding?.map(coding => coding.display || coding.code).filter(Boolean).join(', ') || 'Unknown';
+    }
+
+    renderCanonicalList(title, canonicals) {
+        if (!canonicals?.length) {
+            return '';
+        }
+        return `
+            <div style="margin-top: 1.5rem;">
+                <h3>${title}</h3>
+                <ul class="profile-list">
+                    ${canonicals.map(canonical => `<li>${this.renderLink(canonical)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderExtensions(element) {
+        const list = value => (Array.isArray(value) ? value : []).filter(extension => extension && typeof extension === 'object');
+        const extensions = [
+            ...list(element?.extension).map(extension => ({ extension, modifier: false })),
+            ...list(element?.modifierExtension).map(extension => ({ extension, modifier: true }))
+        ];
+        if (extensions.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="extension-list">
+                <div class="extension-heading">Extensions</div>
+                ${extensions.map(({ extension, modifier }) => this.renderExtension(extension, modifier)).join('')}
+            </div>
+        `;
+    }
+
+    renderExtension(extension, modifier = false) {
+        // Malformed extensions may have no url or a non-string one
+        const url = String(extension.url ?? '');
+        // Nested extensions usually have short relative names such as "authorize" or "required"
+        const name = (Object.hasOwn(KNOWN_EXTENSIONS, url) && KNOWN_EXTENSIONS[url]) ||
+            (url.includes('/') ? url.split('/').pop() : url.charAt(0).toUpperCase() + url.slice(1));
+        const valueKey = Object.keys(extension).find(key => key.startsWith('value'));
+
+        return `
+            <div class="extension-row">
+                <div class="extension-label">
+                    <strong>${this.escapeHtml(name || '(no url)')}</strong>
+                    ${modifier ? '<span class="extension-modifier" title="modifierExtension">modifier</span>' : ''}
+                    ${url.includes('/') ? `<small class="extension-url">${this.escapeHtml(url)}</small>` : ''}
+                </div>
+                ${valueKey ? `
+                    <div class="extension-value">
+                        ${this.renderExtensionValue(valueKey.slice('value'.length), extension[valueKey])}
+                        <small class="extension-type">${this.escapeHtml(valueKey.slice('value'.length))}</small>
+                    </div>
+                ` : ''}
+                ${Array.isArray(extension.extension) && extension.extension.length > 0 ? `
+                    <div class="extension-nested">
+                        ${extension.extension.filter(child => child && typeof child === 'object').map(child => this.renderExtension(child)).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderExtensionValue(type, value) {
+        switch (type) {
+            case 'Boolean':
+                return value ? '✓ true' : '✗ false';
+            case 'Markdown':
+                return this.renderMarkdown(value);
+            case 'Uri':
+            case 'Url':
+                return this.renderLink(value);
+            case 'Code':
+                return `<span class="interaction-tag">${this.escapeHtml(value)}</span>`;
+            case 'Coding':
+                return this.escapeHtml([value.display, value.system ? `${value.system}|${value.code || ''}` : value.code].filter(Boolean).join(' — '));
+            case 'CodeableConcept':
+                return this.escapeHtml(this.describeCodeableConcept(value));
+            case 'Reference':
+                return this.escapeHtml(value.display || value.reference);
+            case 'Quantity':
+            case 'Age':
+            case 'Count':
+            case 'Distance':
+            case 'Duration':
+                return this.escapeHtml(`${value.comparator || ''}${value.value ?? ''} ${value.unit || value.code || ''}`.trim());
+            case 'Period':
+                return this.escapeHtml(`${value.start || '…'} – ${value.end || '…'}`);
+            case 'Identifier':
+                return this.escapeHtml(value.system ? `${value.system}|${value.value || ''}` : value.value);
+            default:
+                // Other complex types are shown compactly as JSON
+                return value !== null && typeof value === 'object'
+                    ? `<code>${this.escapeHtml(JSON.stringify(value))}</code>`
+                    : this.escapeHtml(value);
+        }
+    }
+
+    renderInteractionExtensions(interactions) {
+        return (interactions || [])
+            .filter(interaction => interaction.extension?.length > 0 || interaction.modifierExtension?.length > 0)
+            .map(interaction => `
+                <div class="extension-owner">
+                    <span class="interaction-tag">${this.escapeHtml(interaction.code)}</span>
+                    ${this.renderExtensions(interaction)}
+                </div>
+            `).join('');
+    }
+
+    summarizeRestEndpoints(restEntries) {
+        if (!restEntries || restEntries.length === 0) {
+            return 'None';
+        }
+
+        // e.g. "3 (2 server, 1 client)"
+        const modeCounts = {};
+        restEntries.forEach(rest => {
+            const mode = rest.mode || 'unspecified';
+            modeCounts[mode] = (modeCounts[mode] || 0) + 1;
+        });
+        const modes = Object.entries(modeCounts).map(([mode, count]) => `${count} ${mode}`).join(', ');
+        return `${restEntries.length} (${modes})`;
+    }
+
+    renderRestEndpointList(restEntries) {
+        if (!restEntries || restEntries.length < 2) {
+            return '';
+        }
+
+        return `
+            <div style="margin-top: 1.5rem;">
+                <h3>REST Endpoints</h3>
+                ${restEntries.map((rest, index) => `
+                    <div class="contact-card">
+                        <div class="contact-field"><strong>${this.describeRestEndpoint(rest, index)}</strong></div>
+                        ${rest.documentation ? `<div class="contact-field">${this.renderMarkdown(rest.documentation)}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderContactInfo(contacts) {
+        if (!contacts || contacts.length === 0) {
+            return '';
+        }
+
+        let contactHtml = '<div style="margin-top: 1.5rem;"><h3>Contact Information</h3>';
+        
+        contacts.forEach((contact, index) => {
+            contactHtml += '<div class="contact-card">';
+            
+            // Contact name
+            if (contact.name) {
+                contactHtml += `<div class="contact-field"><strong>Name:</strong> ${this.escapeHtml(contact.name)}</div>`;
+            }
+            
+            // Telecom information (phone, email, url, etc.)
+            if (contact.telecom && contact.telecom.length > 0) {
+                contact.telecom.forEach(telecom => {
+                    const system = telecom.system || 'contact';
+                    const value = telecom.value || '';
+                    const use = telecom.use ? ` (${this.escapeHtml(telecom.use)})` : '';
+                    
+                    if (value) {
+                        let displayValue = this.escapeHtml(value);
+                        
+                        // Make URLs clickable; renderLink drops javascript: and other unsafe schemes
+                        if (system === 'url' || value.startsWith('http')) {
+                            displayValue = this.renderLink(value);
+                        }
+                        // Make emails clickable
+                        else if (system === 'email' || value.includes('@')) {
+                            displayValue = `<a href="mailto:${encodeURIComponent(value).replace(/%40/g, '@')}">${this.escapeHtml(value)}</a>`;
+                        }
+                        
+                        contactHtml += `<div class="contact-field"><strong>${this.escapeHtml(system.charAt(0).toUpperCase() + system.slice(1))}:</strong> ${displayValue}${use}</div>`;
+                    }
+                });
+            }
+            
+            contactHtml += '</div>';
+            
+            // Add separator between multiple contacts
+            if (index < contacts.length - 1) {
+                contactHtml += '<hr class="contact-separator">';
+            }
+        });
+        
+        contactHtml += '</div>';
+        return contactHtml;
+    }
+
+    renderResources() {
+        const resourcesTab = document.getElementById('resources-tab');
+        const allResources = this.getSelectedRest()?.resource || [];
+        const resources = this.getFilteredResources(allResources);
+        
+        if (allResources.length === 0) {
+            resourcesTab.innerHTML = '<p>No resources found in this CapabilityStatement.</p>';
+            return;
+        }
+
+        if (resources.length === 0) {
+            resourcesTab.innerHTML = '<p>No resources match the current filter.</p>';
+            return;
+        }
+
+        const resourcesHtml = resources.map((resource, index) => {
+            const interactions = resource.interaction?.map(i => i.code).join(', ') || 'None';
+            const searchParams = resource.searchParam?.map(p => p.name).join(', ') || 'None';
+            
+            return `
+                <div class="resource-card" data-resource-type="${this.escapeHtml(resource.type)}">
+                    <div class="resource-header" onclick="this.parentElement.querySelector('.resource-content').classList.toggle('active'); this.querySelector('.toggle').textContent = this.querySelector('.toggle').textContent === '+' ? '−' : '+';">
+                        <h3>${this.escapeHtml(resource.type)}</h3>
+                        <span class="toggle">+</span>
+                    </div>
+                    <div class="resource-content">
+                        <div><strong>Profile:</strong> ${this.escapeHtml(resource.profile || 'Not specified')}</div>
+                        ${resource.documentation ? `<div><strong>Documentation:</strong> ${this.renderMarkdown(resource.documentation)}</div>` : ''}
+                        ${this.renderProfileMustSupport(this.getDefinition(resource.profile))}
+                        ${resource.supportedProfile?.length > 0 ? `
+                            <div><strong>Supported Profiles:</strong></div>
+                            <ul class="profile-list">
+                                ${resource.supportedProfile.map(profile => `<li>${this.escapeHtml(profile)}${this.renderProfileMustSupport(this.getDefinition(profile))}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                        <div><strong>Supported Interactions:</strong></div>
+                        <div class="interaction-list">
+                            ${resource.interaction?.map(i => `<span class="interaction-tag">${this.escapeHtml(i.code)}</span>`).join('') || '<span>None</span>'}
+                        </div>
+                        ${this.renderInteractionExtensions(resource.interaction)}
+                        ${resource.searchParam ? `
+                            <div class="search-params">
+                                <strong>Search Parameters:</strong>
+                                ${resource.searchParam.map(p => `
+                                    <div class="search-param">
+                                        <strong>${this.escapeHtml(p.name)}</strong> (${this.escapeHtml(p.type || 'type not specified')})
+                                        ${p.documentation ? this.renderMarkdown(p.documentation) : '<div>No documentation</div>'}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        ${resource.versioning ? `<div><strong>Versioning:</strong> ${this.escapeHtml(resource.versioning)}</div>` : ''}
+                        ${resource.readHistory !== undefined ? `<div><strong>Read History:</strong> ${this.escapeHtml(resource.readHistory)}</div>` : ''}
+                        ${resource.updateCreate !== undefined ? `<div><strong>Update Create:</strong> ${this.escapeHtml(resource.updateCreate)}</div>` : ''}
+                        ${resource.conditionalCreate !== undefined ? `<div><strong>Conditional Create:</strong> ${this.escapeHtml(resource.conditionalCreate)}</div>` : ''}
+                        ${resource.conditionalRead ? `<div><strong>Conditional Read:</strong> ${this.escapeHtml(resource.conditionalRead)}</div>` : ''}
+                        ${resource.conditionalUpdate !== undefined ? `<div><strong>Conditional Update:</strong> ${this.escapeHtml(resource.conditionalUpdate)}</div>` : ''}
+                        ${resource.conditionalDelete ? `<div><strong>Conditional Delete:</strong> ${this.escapeHtml(resource.conditionalDelete)}</div>` : ''}
+                        ${resource.conditionalPatch !== undefined ? `<div><strong>Conditional Patch:</strong> ${this.escapeHtml(resource.conditionalPatch)}</div>` : ''}
+                        ${this.renderExtensions(resource)}
+                        ${this.renderRawLink(this.getResourcePath(resource))}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        resourcesTab.innerHTML = `
+            <h3>Supported Resources (${resources.length === allResources.length ? resources.length : `${resources.length} of ${allResources.length}`})</h3>
+            <div class="resource-grid">
+                ${resourcesHtml}
+            </div>
+        `;
+    }
+
+    renderInteractions() {
+        const interactionsTab = document.getElementById('interactions-tab');
+        const rest = this.getSelectedRest();
+        
+        if (!rest) {
+            interactionsTab.innerHTML = '<p>No REST interface information found.</p>';
+            return;
+        }
+
+        let interactionsHtml = `
+            <h3>System-Level Interactions</h3>
+            <div class="interaction-list">
+                ${rest.interaction?.map(i => `<span class="interaction-tag">${this.escapeHtml(i.code)}</span>`).join('') || '<span>None specified</span>'}
+            </div>
+            ${this.renderInteractionExtensions(rest.interaction)}
+        `;
+
+        if (rest.mode) {
+            interactionsHtml += `<div style="margin-top: 1rem;"><strong>Mode:</strong> ${this.escapeHtml(rest.mode)}</div>`;
+        }
+
+        if (rest.documentation) {
+            interactionsHtml += `<div style="margin-top: 1rem;"><strong>Documentation:</strong> ${this.renderMarkdown(rest.documentation)}</div>`;
+        }
+
+        interactionsHtml += this.renderExtensions(rest);
+
+        if (rest.compartment?.length > 0) {
+            interactionsHtml += `
+                <h3 style="margin-top: 2rem;">Supported Compartments</h3>
+                <ul class="profile-list">
+                    ${rest.compartment.map(compartment => `<li>${this.escapeHtml(compartment)}</li>`).join('')}
+                </ul>
+            `;
+        }
+
+        const allResources = rest.resource || [];
+        const resources = this.getSortedMatrixResources(this.getFilteredResources(allResources));
+
+        if (resources.length > 0) {
+            interactionsHtml += this.renderInteractionMatrix(resources, allResources.length);
+        }
+
+        interactionsTab.innerHTML = interactionsHtml;
+
+        interactionsTab.querySelectorAll('[data-matrix-sort]').forEach(button => {
+            button.addEventListener('click', () => {
+                const column = button.dataset.matrixSort;
+                // Capability columns start with supported resources first
+                this.matrixSort = this.matrixSort.column === column
+                    ? { column, descending: !this.matrixSort.descending }
+                    : { column, descending: column !== 'type' };
+                this.renderInteractions();
+                this.applyFilterDecorations();
+            });
+        });
+        interactionsTab.querySelector('.matrix-export-button')?.addEventListener('click', () => {
+            this.downloadFile(`${this.getExportBaseName()}-interaction-matrix.csv`, this.toCsv(this.buildMatrixRows(resources)), 'text/csv');
+        });
+    }
+
+    getMatrixColumns() {
+        return [
+            { key: 'type', label: 'Resource' },
+            ...MATRIX_INTERACTIONS.map(code => ({ key: code, label: code, interaction: true })),
+            ...MATRIX_FLAGS.map(({ property, label }) => ({ key: property, label }))
+        ];
+    }
+
+    getMatrixValue(resource, column) {
+        if (column.interaction) {
+            return resource.interaction?.some(i => i.code === column.key) || false;
+        }
+        return resource[column.key];
+    }
+
+    getSortedMatrixResources(resources) {
+        const column = this.getMatrixColumns().find(c => c.key === this.matrixSort.column) || this.getMatrixColumns()[0];
+        const sortKey = resource => {
+            const value = this.getMatrixValue(resource, column);
+            // Booleans sort as 0/1 and unstated flags sort before any stated value
+            return typeof value === 'boolean' ? Number(value) : (value ?? '');
+        };
+        const direction = this.matrixSort.descending ? -1 : 1;
+
+        return [...resources].sort((a, b) => {
+            const keyA = sortKey(a);
+            const keyB = sortKey(b);
+            const order = typeof keyA === 'number' && typeof keyB === 'number'
+                ? keyA - keyB
+                : String(keyA).localeCompare(String(keyB));
+            return order * direction || a.type.localeCompare(b.type);
+        });
+    }
+
+    renderMatrixCell(value) {
+        if (value === true) {
+            return '<span class="matrix-yes" title="Supported">✓</span>';
+        }
+        if (value === false) {
+            return '<span class="matrix-no" title="Not supported">✗</span>';
+        }
+        if (value === undefined || value === '') {
+            return '<span class="matrix-unstated" title="Not stated">–</span>';
+        }
+        return `<span class="matrix-code ${value === 'not-supported' ? 'matrix-no' : ''}">${this.escapeHtml(value)}</span>`;
+    }
+
+    renderInteractionMatrix(resources, totalCount) {
+        const columns = this.getMatrixColumns();
+        const sortIndicator = key => this.matrixSort.column === key ? (this.matrixSort.descending ? ' ▼' : ' ▲') : '';
+
+        return `
+            <div class="matrix-heading">
+                <h3>Resource-Level Interactions (${resources.length === totalCount ? totalCount : `${resources.length} of ${totalCount}`} resources)</h3>
+                <button type="button" class="definition-button matrix-export-button">Export CSV</button>
+            </div>
+            <div class="matrix-scroll">
+                <table class="interaction-matrix">
+                    <thead>
+                        <tr>
+                            ${columns.map(column => `
+                                <th class="${column.interaction ? 'matrix-interaction' : column.key === 'type' ? '' : 'matrix-flag'}"
+                                    aria-sort="${this.matrixSort.column === column.key ? (this.matrixSort.descending ? 'descending' : 'ascending') : 'none'}">
+                                    <button type="button" data-matrix-sort="${column.key}">${this.escapeHtml(column.label)}${sortIndicator(column.key)}</button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${resources.map(resource => `
+                            <tr>
+                                ${columns.map(column => column.key === 'type'
+                                    ? `<th scope="row">${this.escapeHtml(resource.type)}</th>`
+                                    : `<td>${this.renderMatrixCell(this.getMatrixValue(resource, column))}</td>`
+                                ).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    buildMatrixRows(resources) {
+        const columns = this.getMatrixColumns();
+        return [
+            columns.map(column => column.label),
+            ...resources.map(resource => columns.map(column => {
+                const value = this.getMatrixValue(resource, column);
+                if (column.interaction) {
+                    return value ? 'Y' : '';
+                }
+                return value === undefined ? '' : String(value);
+            }))
+        ];
+    }
+
+    renderOperations() {
+        const operationsTab = document.getElementById('operations-tab');
+        const rest = this.getSelectedRest();
+        
+        if (!rest?.operation && !rest?.resource?.some(r => r.operation)) {
+            operationsTab.innerHTML = '<p>No operations found in this CapabilityStatement.</p>';
+            return;
+        }
+
+        let operationsHtml = '';
+
+        // System-level operations only belong to a resource-free text filter
+        const systemOps = (rest.operation || []).filter(op => !this.filter.text || this.matchesFilterText(op.name, op.definition));
+        if (systemOps.length > 0) {
+            operationsHtml += `
+                <h3>System-Level Operations</h3>
+                <div class="resource-grid">
+                    ${systemOps.map(op => `
+                        <div class="resource-card">
+                            <div class="resource-header">
+                                <h3>$${this.escapeHtml(op.name)}</h3>
+                            </div>
+                            <div class="resource-content active">
+                                ${this.renderOperationDetails(op)}
+                                ${this.renderRawLink(['rest', this.selectedRestIndex, 'operation', rest.operation.indexOf(op)])}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        // Resource-level operations
+        const resourceOps = this.getFilteredResources(rest.resource || []).filter(r => r.operation?.length > 0);
+        if (resourceOps.length > 0) {
+            operationsHtml += `
+                <h3>Resource-Level Operations</h3>
+                <div class="resource-grid">
+                    ${resourceOps.map(resource => `
+                        <div class="resource-card">
+                            <div class="resource-header" onclick="this.parentElement.querySelector('.resource-content').classList.toggle('active'); this.querySelector('.toggle').textContent = this.querySelector('.toggle').textContent === '+' ? '−' : '+';">
+                                <h3>${this.escapeHtml(resource.type)} Operations</h3>
+                                <span class="toggle">+</span>
+                            </div>
+                            <div class="resource-content">
+                                ${resource.operation.map(op => `
+                                    <div style="margin: 1rem 0; padding: 1rem; background: #f8f9fa; border-radius: 8px;">
+                                        <strong>$${this.escapeHtml(op.name)}</strong><br>
+                                        ${this.renderOperationDetails(op)}
+                                    </div>
+                                `).join('')}
+                                ${this.renderRawLink([...this.getResourcePath(resource), 'operation'])}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        operationsTab.innerHTML = operationsHtml || (this.isFilterActive()
+            ? '<p>No operations match the current filter.</p>'
+            : '<p>No operations found.</p>');
+    }
+
+    renderSearchParameters() {
+        const searchTab = document.getElementById('search-tab');
+        const resources = this.getSelectedRest()?.resource || [];
+        
+        const resourcesWithSearch = resources.filter(r => r.searchParam?.length > 0);
+        const serverParams = this.getSelectedRest()?.searchParam || [];
+        
+        if (resourcesWithSearch.length === 0 && serverParams.length === 0) {
+            searchTab.innerHTML = '<p>No search parameters found in this CapabilityStatement.</p>';
+            return;
+        }
+
+        const visibleResources = this.getFilteredResources(resourcesWithSearch)
+            .map(resource => ({ resource, params: this.getFilteredSearchParams(resource) }))
+            .filter(({ params }) => params.length > 0);
+        const visibleServerParams = serverParams.filter(param => this.searchParamMatchesFilter(param, false));
+
+        if (visibleResources.length === 0 && visibleServerParams.length === 0) {
+            searchTab.innerHTML = '<p>No search parameters match the current filter.</p>';
+            return;
+        }
+
+        const searchHtml = visibleResources.map(({ resource, params }) => `
+            <div class="resource-card">
+                <div class="resource-header" onclick="this.parentElement.querySelector('.resource-content').classList.toggle('active'); this.querySelector('.toggle').textContent = this.querySelector('.toggle').textContent === '+' ? '−' : '+';">
+                    <h3>${this.escapeHtml(resource.type)} (${params.length === resource.searchParam.length ? params.length : `${params.length} of ${resource.searchParam.length}`} parameters)</h3>
+                    <span class="toggle">+</span>
+                </div>
+                <div class="resource-content">
+                    <div class="search-params">
+                        ${params.map(param => this.renderSearchParam(param)).join('')}
+                    </div>
+                    ${this.renderRawLink([...this.getResourcePath(resource), 'searchParam'])}
+                    <details class="request-builder" data-resource-type="${this.escapeHtml(resource.type)}">
+                        <summary>Try it: build a request</summary>
+                        <div class="request-builder-body"></div>
+                    </details>
+                </div>
+            </div>
+        `).join('');
+
+        searchTab.innerHTML = `
+            ${visibleServerParams.length > 0 ? `
+                <h3>Server-Wide Search Parameters</h3>
+                <p class="diff-none">These parameters apply to every resource type on this endpoint.</p>
+                <div class="search-params" style="margin-bottom: 2rem;">
+                    ${visibleServerParams.map(param => this.renderSearchParam(param)).join('')}
+                </div>
+            ` : ''}
+            ${searchHtml ? `
+                <h3>Search Parameters by Resource</h3>
+                <div class="resource-grid">
+                    ${searchHtml}
+                </div>
+            ` : ''}
+        `;
+
+        // Builders are only rendered when opened, which keeps huge statements fast
+        searchTab.querySelectorAll('.request-builder').forEach(builder => {
+            builder.addEventListener('toggle', () => {
+                const body = builder.querySelector('.request-builder-body');
+                if (builder.open && !body.hasChildNodes()) {
+                    const resource = resources.find(r => r.type === builder.dataset.resourceType);
+                    this.renderRequestBuilder(body, resource);
+                }
+            });
+        });
+    }
+
+    renderSearchParam(param) {
+        return `
+            <div class="search-param">
+                <strong>${this.escapeHtml(param.name)}</strong> 
+                <span style="color: #666;">(${this.escapeHtml(param.type || 'type not specified')})</span>
+                ${param.documentation ? `<small>${this.renderMarkdown(param.documentation)}</small>` : ''}
+                ${param.definition ? `<small>Definition: ${this.escapeHtml(param.definition)}</small>` : ''}
+                ${this.renderSearchParameterDefinition(this.getDefinition(param.definition))}
+                ${this.renderExtensions(param)}
+            </div>
+        `;
+    }
+
+    collectCanonicals() {
+        const canonicals = new Map();
+        const add = (canonical, resourceType) => {
+            if (canonical && !canonicals.has(canonical)) {
+                canonicals.set(canonical, resourceType);
+            }
+        };
+
+        this.capabilityData.rest?.forEach(rest => {
+            rest.resource?.forEach(resource => {
+                add(resource.profile, 'StructureDefinition');
+                resource.supportedProfile?.forEach(profile => add(profile, 'StructureDefinition'));
+                resource.searchParam?.forEach(param => add(param.definition, 'SearchParameter'));
+                resource.operation?.forEach(op => add(op.definition, 'OperationDefinition'));
+            });
+            rest.searchParam?.forEach(param => add(param.definition, 'SearchParameter'));
+            rest.operation?.forEach(op => add(op.definition, 'OperationDefinition'));
+        });
+        this.capabilityData.document?.forEach(doc => add(doc.profile, 'StructureDefinition'));
+
+        return [...canonicals].map(([canonical, resourceType]) => ({ canonical, resourceType }));
+    }
+
+    buildResourceGraph(resources) {
+        const supportedTypes = new Set(resources.map(resource => resource.type));
+        const edges = new Map();
+        const unresolved = [];
+
+        // Reference targets come from the SearchParameter definition when it is resolved,
+        // otherwise from parameters named after a supported type (patient → Patient)
+        const getReferenceTargets = (resource, paramName) => {
+            const param = resource?.searchParam?.find(p => p.name === paramName);
+            const definition = this.getDefinition(param?.definition);
+            if (definition?.target?.length > 0) {
+                return definition.target;
+            }
+            return [...supportedTypes].filter(type => type.toLowerCase() === paramName.toLowerCase());
+        };
+
+        const addEdge = (source, param, target, kind) => {
+            const key = `${source}|${param}|${target}`;
+            if (!edges.has(key)) {
+                edges.set(key, { source, param, target, kinds: new Set() });
+            }
+            edges.get(key).kinds.add(kind);
+        };
+
+        // Include values have the form Source:param or Source:param:Target. A _revinclude
+        // without a target points back at the resource that declares it
+        const addInclude = (value, kind, declaringType) => {
+            const [source, param, target] = value.split(':');
+            if (!source || source === '*' || !param || param === '*') {
+                return;
+            }
+            const targets = target
+                ? [target]
+                : kind === 'revinclude' ? [declaringType] : getReferenceTargets(resources.find(r => r.type === source), param);
+            if (targets.length === 0) {
+                unresolved.push({ source, param, kind });
+            }
+            targets.forEach(t => addEdge(source, param, t, kind));
+        };
+
+        resources.forEach(resource => {
+            resource.searchInclude?.forEach(value => addInclude(value, 'include', resource.type));
+            resource.searchRevInclude?.forEach(value => addInclude(value, 'revinclude', resource.type));
+            resource.searchParam?.filter(param => param.type === 'reference').forEach(param => {
+                const targets = getReferenceTargets(resource, param.name);
+                if (targets.length === 0) {
+                    unresolved.push({ source: resource.type, param: param.name, kind: 'reference' });
+                }
+                targets.forEach(target => addEdge(resource.type, param.name, target, 'reference'));
+            });
+        });
+
+        const nodes = new Map(resources.map(resource => [resource.type, { type: resource.type, resource, degree: 0 }]));
+        edges.forEach(edge => {
+            [edge.source, edge.target].forEach(type => {
+                if (!nodes.has(type)) {
+                    nodes.set(type, { type, resource: null, degree: 0 });
+                }
+                nodes.get(type).degree++;
+            });
+        });
+
+        return { nodes: [...nodes.values()], edges: [...edges.values()], unresolved };
+    }
+
+    renderGraph() {
+        const graphTab = document.getElementById('graph-tab');
+        const resources = this.getSelectedRest()?.resource || [];
+        const graph = this.buildResourceGraph(resources);
+        const showIsolated = document.getElementById('graph-show-isolated')?.checked || false;
+
+        if (graph.edges.length === 0) {
+            graphTab.innerHTML = '<p>No reference search parameters, _include or _revinclude values found on this endpoint.</p>';
+            return;
+        }
+
+        const nodes = graph.nodes
+            .filter(node => showIsolated || node.degree > 0)
+            .sort((a, b) => a.type.localeCompare(b.type));
+        const matchingTypes = new Set(this.getFilteredResources(resources).map(resource => resource.type));
+
+        // Nodes sit on a circle sized to fit their labels; edges are drawn as chords
+        const radius = Math.max(160, nodes.length * 9);
+        const margin = 130;
+        const positions = new Map(nodes.map((node, index) => {
+            const angle = (2 * Math.PI * index) / nodes.length - Math.PI / 2;
+            return [node.type, { x: radius * Math.cos(angle), y: radius * Math.sin(angle), angle }];
+        }));
+
+        const edgesSvg = graph.edges.map(edge => {
+            const from = positions.get(edge.source);
+            const to = positions.get(edge.target);
+            const kinds = [...edge.kinds];
+            const kindClass = kinds.includes('include') || kinds.includes('revinclude') ? 'graph-edge-include' : 'graph-edge-reference';
+            const title = `${edge.source}?${edge.param} → ${edge.target} (${kinds.map(kind => kind === 'reference' ? 'reference parameter' : `_${kind}`).join(', ')})`;
+            // A resource referencing its own type gets a small loop
+            const path = edge.source === edge.target
+                ? `M ${from.x} ${from.y} c -30 -40 30 -40 0 0`
+                : `M ${from.x} ${from.y} Q ${(from.x + to.x) / 4} ${(from.y + to.y) / 4} ${to.x} ${to.y}`;
+            return `
+                <path class="graph-edge ${kindClass}" d="${path}" marker-end="url(#graph-arrow)"
+                      data-source="${this.escapeHtml(edge.source)}" data-target="${this.escapeHtml(edge.target)}">
+                    <title>${this.escapeHtml(title)}</title>
+                </path>
+            `;
+        }).join('');
+
+        const nodesSvg = nodes.map(node => {
+            const { x, y, angle } = positions.get(node.type);
+            const labelOnLeft = Math.cos(angle) < 0;
+            const labelX = x + Math.cos(angle) * 12;
+            const labelY = y + Math.sin(angle) * 12;
+            const classes = [
+                'graph-node',
+                node.resource ? '' : 'graph-node-external',
+                this.isFilterActive() && !matchingTypes.has(node.type) ? 'graph-node-dimmed' : ''
+            ].filter(Boolean).join(' ');
+            return `
+                <g class="${classes}" data-resource-type="${this.escapeHtml(node.type)}" tabindex="0" role="button">
+                    <title>${this.escapeHtml(node.resource ? `${node.type}: open resource card` : `${node.type} (not supported on this endpoint)`)}</title>
+                    <circle cx="${x}" cy="${y}" r="${Math.min(4 + node.degree, 12)}"></circle>
+                    <text x="${labelX}" y="${labelY}" dy="0.35em" text-anchor="${labelOnLeft ? 'end' : 'start'}"
+                          transform="rotate(${labelOnLeft ? (angle * 180) / Math.PI + 180 : (angle * 180) / Math.PI} ${labelX} ${labelY})">${this.escapeHtml(node.type)}</text>
+                </g>
+            `;
+        }).join('');
+
+        const size = 2 * (radius + margin);
+        graphTab.innerHTML = `
+            <h3>Resource Relationships (${nodes.length} resources, ${graph.edges.length} reference paths)</h3>
+            <div class="graph-controls">
+                <span class="graph-legend"><span class="graph-legend-include"></span> _include / _revinclude declared</span>
+                <span class="graph-legend"><span class="graph-legend-reference"></span> reference search parameter</span>
+                <label><input type="checkbox" id="graph-show-isolated" ${showIsolated ? 'checked' : ''}> Show resources without references</label>
+            </div>
+            <div class="graph-layout">
+                <svg class="resource-graph" viewBox="${-size / 2} ${-size / 2} ${size} ${size}" role="img" aria-label="Resource relationship graph">
+                    <defs>
+                        <marker id="graph-arrow" viewBox="0 0 10 10" refX="16" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                            <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                        </marker>
+                    </defs>
+                    <g class="graph-edges">${edgesSvg}</g>
+                    <g class="graph-nodes">${nodesSvg}</g>
+                </svg>
+                <div class="graph-details">
+                    <p class="diff-none">Hover over or focus a resource to see its reference paths. Click it to open its card.</p>
+                </div>
+            </div>
+            ${graph.unresolved.length > 0 ? `
+                <details class="graph-unresolved">
+                    <summary>${graph.unresolved.length} reference path${graph.unresolved.length === 1 ? '' : 's'} with an unknown target type</summary>
+                    <p class="diff-none">Resolve definitions to read the target types from the SearchParameter resources.</p>
+                    <ul>
+                        ${graph.unresolved.map(({ source, param, kind }) => `<li><code>${this.escapeHtml(`${source}?${param}`)}</code> (${kind === 'reference' ? 'reference parameter' : `_${kind}`})</li>`).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+        `;
+
+        document.getElementById('graph-show-isolated').addEventListener('change', () => this.renderGraph());
+        graphTab.querySelectorAll('.graph-node').forEach(nodeElement => {
+            const type = nodeElement.dataset.resourceType;
+            const select = () => this.selectGraphNode(graphTab, graph, type);
+            nodeElement.addEventListener('mouseenter', select);
+            nodeElement.addEventListener('focus', select);
+            nodeElement.addEventListener('click', () => this.openResourceCard(type));
+            nodeElement.addEventListener('keydown', e => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.openResourceCard(type);
+                }
+            });
+        });
+    }
+
+    selectGraphNode(graphTab, graph, type) {
+        graphTab.querySelectorAll('.graph-edge').forEach(edge => {
+            edge.classList.toggle('graph-edge-active', edge.dataset.source === type || edge.dataset.target === type);
+        });
+        graphTab.querySelectorAll('.graph-node').forEach(node => {
+            node.classList.toggle('graph-node-active', node.dataset.resourceType === type);
+        });
+
+        const outgoing = graph.edges.filter(edge => edge.source === type);
+        const incoming = graph.edges.filter(edge => edge.target === type && edge.source !== type);
+        const resource = graph.nodes.find(node => node.type === type)?.resource;
+        const describeKinds = edge => [...edge.kinds].map(kind => kind === 'reference' ? 'param' : `_${kind}`).join(', ');
+
+        graphTab.querySelector('.graph-details').innerHTML = `
+            <h4>${this.escapeHtml(type)}</h4>
+            ${resource ? '' : '<p class="diff-none">Not supported on this endpoint.</p>'}
+            ${resource?.referencePolicy?.length > 0 ? `<div><strong>Reference Policy:</strong> ${resource.referencePolicy.map(policy => this.escapeHtml(policy)).join(', ')}</div>` : ''}
+            ${outgoing.length > 0 ? `
+                <div><strong>References (chain with <code>param.field</code>):</strong></div>
+                <ul>
+                    ${outgoing.map(edge => `<li><code>${this.escapeHtml(`${type}?${edge.param}:${edge.target}.`)}</code>… <small>${this.escapeHtml(describeKinds(edge))}</small></li>`).join('')}
+                </ul>
+            ` : ''}
+            ${incoming.length > 0 ? `
+                <div><strong>Referenced by (reverse chain with <code>_has</code>):</strong></div>
+                <ul>
+                    ${incoming.map(edge => `<li><code>${this.escapeHtml(`${type}?_has:${edge.source}:${edge.param}:`)}</code>… <small>${this.escapeHtml(describeKinds(edge))}</small></li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    openResourceCard(type) {
+        const findCard = () => [...document.querySelectorAll('#resources-tab .resource-card')]
+            .find(card => card.dataset.resourceType === type);
+
+        // A card hidden by the global filter is brought back by clearing the filter
+        if (!findCard() && this.isFilterActive()) {
+            document.getElementById('filter-input').value = '';
+            document.getElementById('filter-interaction').value = '';
+            document.getElementById('filter-param-type').value = '';
+            document.getElementById('filter-has-operations').checked = false;
+            this.updateFilter();
+        }
+
+        const card = findCard();
+        if (!card) {
+            return;
+        }
+        this.switchTab('resources');
+        card.querySelector('.resource-content').classList.add('active');
+        card.querySelector('.resource-header .toggle').textContent = '−';
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.recordViewState(true);
+    }
+
+    getDefinition(canonical) {
+        if (!canonical) {
+            return null;
+        }
+        // Loaded packages take precedence over what the server returned
+        const url = canonical.split('|')[0];
+        return this.packageDefinitions.get(url) || this.resolvedDefinitions.get(canonical) || null;
+    }
+
+    async resolveDefinitionsFromServer() {
+        const baseUrl = this.getServerBaseUrl();
+        const status = document.getElementById('definition-status');
+        const resolveButton = document.getElementById('resolve-definitions-button');
+
+        if (!baseUrl) {
+            status.textContent = 'Definitions can only be resolved from the server when the statement was loaded from a URL.';
+            return;
+        }
+
+        let options;
+        try {
+            options = this.getRequestOptions();
+        } catch (error) {
+            status.textContent = error.message;
+            return;
+        }
+        const headers = { ...options.headers, 'Accept': 'application/fhir+json, application/json' };
+        const pending = this.collectCanonicals().filter(({ canonical }) => !this.getDefinition(canonical));
+        // Loading another statement replaces both, so late responses must not land in the new ones
+        const capabilityData = this.capabilityData;
+        const definitions = this.resolvedDefinitions;
+        const isStale = () => this.capabilityData !== capabilityData;
+        let completed = 0;
+        let found = 0;
+
+        resolveButton.disabled = true;
+        status.textContent = `Resolving 0 of ${pending.length} definitions...`;
+
+        await this.runWithConcurrency(pending, 6, async ({ canonical, resourceType }) => {
+            if (isStale()) {
+                return;
+            }
+            try {
+                const definition = await this.fetchDefinition(baseUrl, canonical, resourceType, headers, !options.hasCredentials);
+                if (definition) {
+                    definitions.set(canonical, definition);
+                    found++;
+                }
+            } catch (error) {
+                console.log(`Could not resolve ${canonical}`, error);
+            }
+            completed++;
+            if (!isStale()) {
+                status.textContent = `Resolving ${completed} of ${pending.length} definitions...`;
+            }
+        });
+
+        // A different statement may have been loaded while we were resolving
+        if (isStale()) {
+            return;
+        }
+
+        resolveButton.disabled = false;
+        status.textContent = `Resolved ${found} of ${pending.length} definitions from ${baseUrl}` +
+            (found < pending.length ? ` (${pending.length - found} not available on the server)` : '');
+        this.renderEndpointTabs();
+        this.renderOptionalTabs();
+    }
+
+    async fetchDefinition(baseUrl, canonical, resourceType, headers, allowProxy) {
+        const [url, version] = canonical.split('|');
+
+        // DSTU2 and STU3 statements may use relative references such as OperationDefinition/Patient-everything
+        const requestUrl = /^[A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/.test(url)
+            ? `${baseUrl}/${url}`
+            : `${baseUrl}/${resourceType}?url=${encodeURIComponent(url)}${version ? `&version=${encodeURIComponent(version)}` : ''}`;
+
+        const result = FHIRCapabilityCore.parseFhirResourceText((await this.fetchText(requestUrl, headers, { allowProxy })).text);
+        if (result.resourceType === 'Bundle') {
+            return result.entry?.map(entry => entry.resource).find(resource => resource?.resourceType === resourceType) || null;
+        }
+        return result.resourceType === resourceType ? result : null;
+    }
+
+    async runWithConcurrency(items, limit, worker) {
+        const queue = [...items];
+        const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+            while (queue.length > 0) {
+                await worker(queue.shift());
+            }
+        });
+        await Promise.all(runners);
+    }
+
+    async loadDefinitionPackage(files) {
+        const status = document.getElementById('definition-status');
+        let added = 0;
+        const failures = [];
+
+        for (const file of files) {
+            try {
+                const parsed = FHIRCapabilityCore.parseFhirResourceText(await this.readFileAsText(file));
+                const resources = parsed.resourceType === 'Bundle'
+                    ? (parsed.entry || []).map(entry => entry.resource).filter(Boolean)
+                    : [parsed];
+
+                resources
+                    .filter(resource => ['StructureDefinition', 'SearchParameter', 'OperationDefinition'].includes(resource.resourceType))
+                    .forEach(resource => {
+                        if (resource.url) {
+                            this.packageDefinitions.set(resource.url, resource);
+                        }
+                        // Allows relative references from DSTU2 and STU3 statements to resolve too
+                        if (resource.id) {
+                            this.packageDefinitions.set(`${resource.resourceType}/${resource.id}`, resource);
+                        }
+                        added++;
+                    });
+            } catch (error) {
+                console.error(`Error loading package ${file.name}:`, error);
+                failures.push(`${file.name} (${error.message})`);
+            }
+        }
+
+        status.textContent = `Loaded ${added} definition${added === 1 ? '' : 's'} from ${files.length} file${files.length === 1 ? '' : 's'}` +
+            (failures.length > 0 ? `. Could not read: ${failures.join(', ')}` : '');
+        if (this.capabilityData) {
+            this.renderEndpointTabs();
+            this.renderOptionalTabs();
+        }
+    }
+
+    renderOperationDetails(op) {
+        const definition = this.getDefinition(op.definition);
+        const parameters = this.flattenOperationParameters(definition?.parameter || []);
+
+        return `
+            <div><strong>Definition:</strong> ${this.escapeHtml(op.definition || 'Not specified')}</div>
+            ${op.documentation ? `<div><strong>Documentation:</strong> ${this.renderMarkdown(op.documentation)}</div>` : ''}
+            ${this.renderExtensions(op)}
+            ${definition ? `
+                <div class="definition-details">
+                    ${definition.description ? `<small>${this.renderMarkdown(definition.description)}</small>` : ''}
+                    <div><small><strong>Scope:</strong> ${[definition.system && 'system', definition.type && 'type', definition.instance && 'instance'].filter(Boolean).join(', ') || 'Not specified'}
+                        ${definition.affectsState !== undefined ? ` · <strong>Affects state:</strong> ${this.escapeHtml(definition.affectsState)}` : ''}</small></div>
+                    ${parameters.length > 0 ? `
+                        <table class="definition-table">
+                            <thead>
+                                <tr><th>Parameter</th><th>Use</th><th>Cardinality</th><th>Type</th><th>Documentation</th></tr>
+                            </thead>
+                            <tbody>
+                                ${parameters.map(param => `
+                                    <tr>
+                                        <td>${this.escapeHtml(param.name)}</td>
+                                        <td>${this.escapeHtml(param.use)}</td>
+                                        <td>${this.escapeHtml(param.min)}..${this.escapeHtml(param.max)}</td>
+                                        <td>${this.escapeHtml(param.type || param.searchType)}</td>
+                                        <td>${this.renderMarkdown(param.documentation)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : ''}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    flattenOperationParameters(parameters, prefix = '', use = '') {
+        // Nested parts are shown as parent.part
+        return parameters.flatMap(param => {
+            const flattened = { ...param, name: `${prefix}${param.name}`, use: param.use || use };
+            return [flattened, ...this.flattenOperationParameters(param.part || [], `${flattened.name}.`, flattened.use)];
+        });
+    }
+
+    renderSearchParameterDefinition(definition) {
+        if (!definition) {
+            return '';
+        }
+
+        // Definitions come from arbitrary servers, so code lists may be missing or malformed.
+        // DSTU2 has a single base code where later releases have a list.
+        const codes = value => (Array.isArray(value) ? value : [value]).filter(code => typeof code === 'string');
+        const base = codes(definition.base);
+        const target = codes(definition.target);
+        const modifier = codes(definition.modifier);
+        const comparator = codes(definition.comparator);
+
+        // expression is R4+ (and STU3), xpath is the DSTU2 equivalent
+        return `
+            <div class="definition-details">
+                ${definition.expression ? `<div><small><strong>Expression:</strong> <code>${this.escapeHtml(definition.expression)}</code></small></div>` : ''}
+                ${!definition.expression && definition.xpath ? `<div><small><strong>XPath:</strong> <code>${this.escapeHtml(definition.xpath)}</code></small></div>` : ''}
+                ${base.length > 0 ? `<div><small><strong>Base:</strong> ${this.escapeHtml(base.join(', '))}</small></div>` : ''}
+                ${target.length > 0 ? `<div><small><strong>Targets:</strong> ${this.escapeHtml(target.join(', '))}</small></div>` : ''}
+                ${modifier.length > 0 ? `<div><small><strong>Modifiers:</strong> ${this.escapeHtml(modifier.join(', '))}</small></div>` : ''}
+                ${comparator.length > 0 ? `<div><small><strong>Comparators:</strong> ${this.escapeHtml(comparator.join(', '))}</small></div>` : ''}
+                ${definition.multipleOr !== undefined ? `<div><small><strong>Multiple OR:</strong> ${this.escapeHtml(definition.multipleOr)}</small></div>` : ''}
+            </div>
+        `;
+    }
+
+    renderProfileMustSupport(definition) {
+        if (!definition) {
+            return '';
+        }
+
+        // The snapshot includes must-support flags inherited from base profiles; elements without a
+        // path (a malformed or partial definition) are skipped
+        const declared = definition.snapshot?.element || definition.differential?.element;
+        const elements = (Array.isArray(declared) ? declared : [])
+            .filter(element => element?.mustSupport && element.path?.includes('.'));
+
+        return `
+            <div class="definition-details">
+                <div><small><strong>${this.escapeHtml(definition.title || definition.name || definition.url)}</strong> — ${elements.length} must-support element${elements.length === 1 ? '' : 's'}</small></div>
+                ${elements.length > 0 ? `
+                    <table class="definition-table">
+                        <thead>
+                            <tr><th>Element</th><th>Cardinality</th><th>Type</th></tr>
+                        </thead>
+                        <tbody>
+                            ${elements.map(element => `
+                                <tr>
+                                    <td>${this.escapeHtml(element.id || element.path)}</td>
+                                    <td>${this.escapeHtml(element.min)}..${this.escapeHtml(element.max)}</td>
+                                    <td>${this.escapeHtml(Array.isArray(element.type) ? element.type.map(type => type?.code).join(', ') : '')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderRequestBuilder(container, resource) {
+        const declared = new Set(resource.interaction?.map(i => i.code) || []);
+        const interactions = BUILDER_INTERACTIONS.filter(code => declared.has(code));
+        if (interactions.length === 0) {
+            interactions.push('search-type');
+        }
+
+        container.innerHTML = `
+            <div class="builder-row">
+                <label>Base URL</label>
+                <input type="url" class="builder-base" value="${this.escapeHtml(this.getServerBaseUrl())}" placeholder="FHIR server base URL">
+            </div>
+            <div class="builder-row">
+                <label>Interaction</label>
+                <select class="builder-interaction">
+                    ${interactions.map(code => `<option value="${code}">${code}</option>`).join('')}
+                </select>
+            </div>
+            <div class="builder-instance">
+                <div class="builder-row">
+                    <label>Resource id</label>
+                    <input type="text" class="builder-id" placeholder="id">
+                </div>
+                <div class="builder-row builder-version">
+                    <label>Version id</label>
+                    <input type="text" class="builder-vid" placeholder="version id">
+                </div>
+            </div>
+            <div class="builder-search">
+                ${(resource.searchParam || []).map(param => this.renderBuilderParam(param)).join('')}
+                ${this.renderBuilderIncludes('_include', resource.searchInclude)}
+                ${this.renderBuilderIncludes('_revinclude', resource.searchRevInclude)}
+                <div class="builder-row">
+                    <label>_count</label>
+                    <input type="number" class="builder-count" min="0" placeholder="page size">
+                </div>
+            </div>
+            <div class="builder-output">
+                <input type="text" class="builder-url" readonly>
+                <button type="button" class="definition-button builder-copy">Copy</button>
+                <button type="button" class="definition-button builder-run">Run</button>
+            </div>
+            <div class="builder-result"></div>
+        `;
+
+        const update = () => this.updateRequestBuilder(container, resource);
+        container.addEventListener('input', update);
+        container.addEventListener('change', update);
+        container.querySelector('.builder-copy').addEventListener('click', () => {
+            navigator.clipboard.writeText(container.querySelector('.builder-url').value).catch(() => {});
+        });
+        container.querySelector('.builder-run').addEventListener('click', () => {
+            this.runBuiltRequest(container);
+        });
+        update();
+    }
+
+    renderBuilderParam(param) {
+        const definition = this.getDefinition(param.definition);
+        const modifiers = definition?.modifier || SEARCH_MODIFIERS[param.type] || [];
+        const prefixes = definition?.comparator || SEARCH_PREFIXES;
+        const hasPrefix = ['date', 'number', 'quantity'].includes(param.type);
+
+        let valueInputs;
+        if (param.type === 'token') {
+            valueInputs = `
+                <input type="text" class="builder-system" placeholder="system (optional)">
+                <span class="builder-separator">|</span>
+                <input type="text" class="builder-value" placeholder="code">
+            `;
+        } else if (param.type === 'quantity') {
+            valueInputs = `
+                <input type="number" step="any" class="builder-value" placeholder="value">
+                <input type="text" class="builder-system" placeholder="system (optional)">
+                <input type="text" class="builder-code" placeholder="unit code (optional)">
+            `;
+        } else if (param.type === 'date') {
+            valueInputs = '<input type="text" class="builder-value" placeholder="YYYY-MM-DD or YYYY-MM-DDThh:mm:ss">';
+        } else if (param.type === 'number') {
+            valueInputs = '<input type="number" step="any" class="builder-value" placeholder="number">';
+        } else if (param.type === 'reference') {
+            valueInputs = '<input type="text" class="builder-value" placeholder="Type/id, id or URL">';
+        } else {
+            valueInputs = '<input type="text" class="builder-value" placeholder="value">';
+        }
+
+        return `
+            <div class="builder-row builder-param" data-name="${this.escapeHtml(param.name)}" data-type="${this.escapeHtml(param.type)}">
+                <label title="${this.escapeHtml(param.type)}">${this.escapeHtml(param.name)}</label>
+                ${modifiers.length > 0 ? `
+                    <select class="builder-modifier">
+                        <option value="">no modifier</option>
+                        ${modifiers.map(modifier => `<option value="${this.escapeHtml(modifier)}">:${this.escapeHtml(modifier)}</option>`).join('')}
+                    </select>
+                ` : ''}
+                ${hasPrefix ? `
+                    <select class="builder-prefix">
+                        <option value="">no prefix</option>
+                        ${prefixes.map(prefix => `<option value="${this.escapeHtml(prefix)}">${this.escapeHtml(prefix)}</option>`).join('')}
+                    </select>
+                ` : ''}
+                ${valueInputs}
+            </div>
+        `;
+    }
+
+    renderBuilderIncludes(name, values) {
+        if (!values?.length) {
+            return '';
+        }
+        return `
+            <div class="builder-row">
+                <label>${name}</label>
+                <div class="builder-includes">
+                    ${values.map(value => `
+                        <label class="builder-include"><input type="checkbox" data-include="${name}" value="${this.escapeHtml(value)}"> ${this.escapeHtml(value)}</label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    encodeQueryComponent(value) {
+        // Keep the characters FHIR search syntax relies on readable
+        return encodeURIComponent(value).replace(/%3A/gi, ':').replace(/%2F/gi, '/').replace(/%7C/gi, '|').replace(/%2C/gi, ',');
+    }
+
+    buildRequestUrl(container, resource) {
+        const base = container.querySelector('.builder-base').value.trim().replace(/\/+$/, '');
+        const interaction = container.querySelector('.builder-interaction').value;
+        const idValue = container.querySelector('.builder-id').value.trim();
+        const vidValue = container.querySelector('.builder-vid').value.trim();
+        const id = idValue ? encodeURIComponent(idValue) : '[id]';
+        const vid = vidValue ? encodeURIComponent(vidValue) : '[vid]';
+
+        switch (interaction) {
+            case 'read':
+                return `${base}/${resource.type}/${id}`;
+            case 'vread':
+                return `${base}/${resource.type}/${id}/_history/${vid}`;
+            case 'history-instance':
+                return `${base}/${resource.type}/${id}/_history`;
+            case 'history-type':
+                return `${base}/${resource.type}/_history`;
+        }
+
+        const query = [];
+        container.querySelectorAll('.builder-param').forEach(row => {
+            const value = row.querySelector('.builder-value').value.trim();
+            if (!value) {
+                return;
+            }
+
+            const modifier = row.querySelector('.builder-modifier')?.value;
+            const prefix = row.querySelector('.builder-prefix')?.value || '';
+            const system = row.querySelector('.builder-system')?.value.trim();
+            const code = row.querySelector('.builder-code')?.value.trim();
+            let searchValue = value;
+
+            if (row.dataset.type === 'token') {
+                searchValue = system ? `${system}|${value}` : value;
+            } else if (row.dataset.type === 'quantity') {
+                searchValue = system || code ? `${prefix}${value}|${system || ''}|${code || ''}` : `${prefix}${value}`;
+            } else if (prefix) {
+                searchValue = `${prefix}${value}`;
+            }
+
+            query.push(`${this.encodeQueryComponent(row.dataset.name)}${modifier ? `:${modifier}` : ''}=${this.encodeQueryComponent(searchValue)}`);
+        });
+
+        container.querySelectorAll('[data-include]:checked').forEach(checkbox => {
+            query.push(`${checkbox.dataset.include}=${this.encodeQueryComponent(checkbox.value)}`);
+        });
+
+        const count = container.querySelector('.builder-count').value.trim();
+        if (count) {
+            query.push(`_count=${encodeURIComponent(count)}`);
+        }
+
+        return `${base}/${resource.type}${query.length > 0 ? `?${query.join('&')}` : ''}`;
+    }
+
+    updateRequestBuilder(container, resource) {
+        const interaction = container.querySelector('.builder-interaction').value;
+        container.querySelector('.builder-search').style.display = interaction === 'search-type' ? 'block' : 'none';
+        container.querySelector('.builder-instance').style.display = ['read', 'vread', 'history-instance'].includes(interaction) ? 'block' : 'none';
+        container.querySelector('.builder-version').style.display = interaction === 'vread' ? 'flex' : 'none';
+        container.querySelector('.builder-url').value = this.buildRequestUrl(container, resource);
+    }
+
+    async runBuiltRequest(container) {
+        const requestUrl = container.querySelector('.builder-url').value;
+        const resultContainer = container.querySelector('.builder-result');
+        const runButton = container.querySelector('.builder-run');
+
+        if (!this.isValidUrl(requestUrl) || requestUrl.includes('[id]') || requestUrl.includes('[vid]')) {
+            resultContainer.innerHTML = '<p class="smart-error">Please enter a base URL and any required ids first.</p>';
+            return;
+        }
+
+        runButton.disabled = true;
+        resultContainer.innerHTML = '<p>Running request...</p>';
+
+        try {
+            const { headers, hasCredentials } = this.getRequestOptions();
+            // Queries can carry patient identifiers: an HTTP error is shown rather than retried, and a
+            // blocked request only goes through a local or custom proxy, never the public one
+            const { text, via, status } = await this.fetchText(requestUrl, {
+                ...headers,
+                'Accept': 'application/fhir+json, application/json'
+            }, { allowProxy: !hasCredentials, returnHttpErrors: true, publicProxy: false });
+            const failed = status !== undefined && (status < 200 || status >= 300);
+
+            let resultHtml;
+            try {
+                resultHtml = this.renderRequestResult(FHIRCapabilityCore.parseResponseText(text).data);
+            } catch (parseError) {
+                // Error bodies are often not FHIR at all (an HTML error page, plain text or nothing)
+                if (!failed) {
+                    throw parseError;
+                }
+                resultHtml = '';
+            }
+            resultContainer.innerHTML = `
+                ${failed ? `<p class="smart-error">The server answered HTTP ${this.escapeHtml(status)}</p>` : ''}
+                ${resultHtml}
+                <p class="fetch-path">Served ${this.escapeHtml(this.describeFetchPath(via))}</p>
+            `;
+        } catch (error) {
+            console.error('Error running request:', error);
+            const message = error.proxyDisabled && this.usesPublicProxy()
+                ? `${error.message}. Requests from the builder are never sent through the public CORS proxy, since queries can carry patient identifiers. Choose the local or a custom proxy under "Advanced request options" to use one.`
+                : this.describeLoadError(error);
+            resultContainer.innerHTML = `<p class="smart-error">${this.escapeHtml(message)}</p>`;
+        } finally {
+            runButton.disabled = false;
+        }
+    }
+
+    renderRequestResult(result) {
+        if (result.resourceType === 'OperationOutcome') {
             return `
-                <div class="resource-card">
-                    <div class="resource-header" onclick="this.parentElement.querySelector('.resource-content').classList.toggle('active'); this.querySelector('.toggle').textContent = this.querySelector('.toggle').textContent === '+' ? '−' : '+';">
-                        <h3>${resource.type}</h3>
-                        <span class="toggle">+</span>
+                <div class="builder-summary">
+                    <strong>OperationOutcome</strong>
+                    <ul>${(result.issue || []).map(issue => `<li>${this.escapeHtml(issue.severity)}: ${this.escapeHtml(issue.diagnostics || issue.details?.text || issue.code)}</li>`).join('')}</ul>
+                </div>
+            `;
+        }
+
+        if (result.resourceType !== 'Bundle') {
+            return `
+                <div class="builder-summary">
+                    <strong>${this.escapeHtml(result.resourceType)}/${this.escapeHtml(result.id)}</strong>
+                    ${result.meta?.versionId ? `<div>Version: ${this.escapeHtml(result.meta.versionId)}</div>` : ''}
+                    ${result.meta?.lastUpdated ? `<div>Last updated: ${this.escapeHtml(result.meta.lastUpdated)}</div>` : ''}
+                </div>
+            `;
+        }
+
+        const entries = result.entry || [];
+        const typeCounts = {};
+        entries.forEach(entry => {
+            const type = entry.resource?.resourceType || 'Unknown';
+            typeCounts[type] = (typeCounts[type] || 0) + 1;
+        });
+        const nextLink = result.link?.find(link => link.relation === 'next');
+
+        return `
+            <div class="builder-summary">
+                <strong>Bundle (${this.escapeHtml(result.type || 'unknown type')})</strong>
+                ${result.total !== undefined ? `<div>Total matches: ${this.escapeHtml(result.total)}</div>` : ''}
+                <div>Entries in this page: ${entries.length}</div>
+                ${Object.keys(typeCounts).length > 0 ? `
+                    <div class="interaction-list">
+                        ${Object.entries(typeCounts).map(([type, count]) => `<span class="interaction-tag">${this.escapeHtml(type)}: ${count}</span>`).join('')}
+                    </div>
+                ` : ''}
+                ${entries.length > 0 ? `
+                    <ul>
+                        ${entries.slice(0, 10).map(entry => `<li>${this.escapeHtml(entry.resource?.resourceType)}/${this.escapeHtml(entry.resource?.id)}${entry.search?.mode === 'include' ? ' (included)' : ''}</li>`).join('')}
+                        ${entries.length > 10 ? `<li>… ${entries.length - 10} more</li>` : ''}
+                    </ul>
+                ` : ''}
+                ${nextLink ? '<div>More results are available (next page link present).</div>' : ''}
+            </div>
+        `;
+    }
+
+    renderOptionalTabs() {
+        // Messaging and Documents tabs only appear for statements that declare those sections
+        const optionalTabs = {
+            messaging: this.capabilityData.messaging?.length > 0,
+            documents: this.capabilityData.document?.length > 0
+        };
+        Object.entries(optionalTabs).forEach(([tab, present]) => {
+            document.querySelector(`.tab-button[data-tab="${tab}"]`).style.display = present ? '' : 'none';
+            if (!present && document.getElementById(`${tab}-tab`).classList.contains('active')) {
+                this.switchTab('resources');
+            }
+        });
+
+        if (optionalTabs.messaging) {
+            this.renderMessaging();
+        }
+        if (optionalTabs.documents) {
+            this.renderDocuments();
+        }
+    }
+
+    renderMessaging() {
+        const messagingTab = document.getElementById('messaging-tab');
+
+        messagingTab.innerHTML = `
+            <h3>Messaging (${this.capabilityData.messaging.length})</h3>
+            <div class="resource-grid">
+                ${this.capabilityData.messaging.map((messaging, index) => `
+                    <div class="resource-card">
+                        <div class="resource-header">
+                            <h3>Messaging ${index + 1}</h3>
+                        </div>
+                        <div class="resource-content active">
+                            ${messaging.documentation ? this.renderMarkdown(messaging.documentation) : ''}
+                            ${this.renderExtensions(messaging)}
+                            ${messaging.reliableCache !== undefined ? `<div><strong>Reliable Cache:</strong> ${this.escapeHtml(messaging.reliableCache)} minutes</div>` : ''}
+                            ${messaging.endpoint?.length > 0 ? `
+                                <div style="margin-top: 1rem;"><strong>Endpoints:</strong></div>
+                                <table class="definition-table">
+                                    <thead>
+                                        <tr><th>Protocol</th><th>Address</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        ${messaging.endpoint.map(endpoint => `
+                                            <tr>
+                                                <td>${this.escapeHtml(endpoint.protocol ? endpoint.protocol.display || endpoint.protocol.code : '')}</td>
+                                                <td>${this.escapeHtml(endpoint.address)}</td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            ` : ''}
+                            ${messaging.supportedMessage?.length > 0 ? `
+                                <div style="margin-top: 1rem;"><strong>Supported Messages:</strong></div>
+                                <table class="definition-table">
+                                    <thead>
+                                        <tr><th>Mode</th><th>Definition</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        ${messaging.supportedMessage.map(message => `
+                                            <tr>
+                                                <td>${this.escapeHtml(message.mode)}</td>
+                                                <td>${this.escapeHtml(message.definition)}</td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            ` : ''}
+                            ${messaging.event?.length > 0 ? `
+                                <div style="margin-top: 1rem;"><strong>Events:</strong></div>
+                                <table class="definition-table">
+                                    <thead>
+                                        <tr><th>Event</th><th>Category</th><th>Mode</th><th>Focus</th><th>Request</th><th>Response</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        ${messaging.event.map(event => `
+                                            <tr>
+                                                <td>${this.escapeHtml(event.code?.display || event.code?.code)}</td>
+                                                <td>${this.escapeHtml(event.category)}</td>
+                                                <td>${this.escapeHtml(event.mode)}</td>
+                                                <td>${this.escapeHtml(event.focus)}</td>
+                                                <td>${this.escapeHtml(event.request?.reference)}</td>
+                                                <td>${this.escapeHtml(event.response?.reference)}</td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            ` : ''}
+                            ${this.renderRawLink(['messaging', index])}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderDocuments() {
+        const documentsTab = document.getElementById('documents-tab');
+
+        documentsTab.innerHTML = `
+            <h3>Documents (${this.capabilityData.document.length})</h3>
+            <div class="resource-grid">
+                ${this.capabilityData.document.map((doc, index) => `
+                    <div class="resource-card">
+                        <div class="resource-header">
+                            <h3>${this.escapeHtml(doc.mode || 'Mode not specified')}</h3>
+                        </div>
+                        <div class="resource-content active">
+                            <div><strong>Profile:</strong> ${this.escapeHtml(doc.profile || 'Not specified')}</div>
+                            ${this.renderProfileMustSupport(this.getDefinition(doc.profile))}
+                            ${doc.documentation ? `<div><strong>Documentation:</strong> ${this.renderMarkdown(doc.documentation)}</div>` : ''}
+                            ${this.renderExtensions(doc)}
+                            ${this.renderRawLink(['document', index])}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderSecurity() {
+        const securityTab = document.getElementById('security-tab');
+        const rest = this.getSelectedRest();
+        const security = rest?.security;
+        let securityHtml = '';
+
+        if (!security) {
+            securityHtml += '<p>No security information found in this CapabilityStatement.</p>';
+        } else {
+            if (security.cors !== undefined) {
+                securityHtml += `<div><strong>CORS:</strong> ${this.escapeHtml(security.cors)}</div>`;
+            }
+
+            if (security.service?.length > 0) {
+                securityHtml += `
+                    <div style="margin-top: 1rem;">
+                        <strong>Security Services:</strong>
+                        <div class="interaction-list">
+                            ${security.service.map(service => {
+                                const codings = service.coding?.length > 0 ? service.coding : [{ display: service.text || 'Unknown' }];
+                                return codings.map(coding =>
+                                    `<span class="interaction-tag" title="${this.escapeHtml(coding.system)}">${this.escapeHtml(coding.display || coding.code || service.text || 'Unknown')}</span>`
+                                ).join('');
+                            }).join('')}
+                        </div>
+                        ${security.service.filter(service => service.text && service.coding?.length > 0).map(service =>
+                            `<div><small>${this.escapeHtml(service.text)}</small></div>`
+                        ).join('')}
+                    </div>
+                `;
+            }
+
+            if (security.description) {
+                securityHtml += `<div style="margin-top: 1rem;"><strong>Description:</strong> ${this.renderMarkdown(security.description)}</div>`;
+            }
+
+            securityHtml += this.renderExtensions(security);
+
+            if (!securityHtml) {
+                securityHtml = '<p>No detailed security information available.</p>';
+            }
+        }
+
+        securityTab.innerHTML = securityHtml + this.renderSmartDiscovery(security);
+
+        document.getElementById('smart-fetch-button').addEventListener('click', () => {
+            this.loadSmartConfiguration(document.getElementById('smart-base-url').value.trim());
+        });
+    }
+
+    getServerBaseUrl() {
+        const sourceUrl = this.currentSource?.url || this.capabilityData?.implementation?.url;
+        if (!sourceUrl || !this.isValidUrl(sourceUrl)) {
+            return '';
+        }
+
+        const parsed = new URL(sourceUrl);
+        return `${parsed.origin}${parsed.pathname}`.replace(/\/metadata\/?$/, '').replace(/\/+$/, '');
+    }
+
+    async loadSmartConfiguration(baseUrl) {
+        if (!baseUrl || !this.isValidUrl(baseUrl)) {
+            this.smartConfiguration = { status: 'error', baseUrl, error: 'Please enter a valid FHIR server base URL' };
+            this.renderSecurity();
+            return;
+        }
+
+        const pending = { status: 'loading', baseUrl };
+        this.smartConfiguration = pending;
+        this.renderSecurity();
+
+        let result;
+        try {
+            const { text, via } = await this.fetchText(`${baseUrl.replace(/\/+$/, '')}/.well-known/smart-configuration`, {
+                'Accept': 'application/json'
+            });
+
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (parseError) {
+                throw new Error('The smart-configuration response is not valid JSON');
+            }
+
+            result = { status: 'loaded', baseUrl, data, via };
+        } catch (error) {
+            console.error('Error loading SMART configuration:', error);
+            result = { status: 'error', baseUrl, error: error.message };
+        }
+
+        // Ignore responses that arrive after another statement or base URL was loaded
+        if (this.smartConfiguration !== pending) {
+            return;
+        }
+        this.smartConfiguration = result;
+        this.renderSecurity();
+    }
+
+    async loadTerminologyCapabilities(baseUrl) {
+        if (!baseUrl || !this.isValidUrl(baseUrl)) {
+            this.terminologyCapabilities = { status: 'error', baseUrl, error: 'Please enter a valid FHIR server base URL' };
+            this.renderTerminology();
+            return;
+        }
+
+        const pending = { status: 'loading', baseUrl };
+        this.terminologyCapabilities = pending;
+        this.renderTerminology();
+
+        let result;
+        try {
+            const { data, via } = await this.fetchCapabilityStatement(FHIRCapabilityCore.buildMetadataUrl(baseUrl, 'terminology'));
+            if (data?.resourceType !== 'TerminologyCapabilities') {
+                throw new Error(data?.resourceType === 'CapabilityStatement' || data?.resourceType === 'Conformance'
+                    ? 'The server ignored mode=terminology and returned its CapabilityStatement'
+                    : `Expected a TerminologyCapabilities resource, got ${data?.resourceType || 'a response without a resourceType'}`);
+            }
+            result = { status: 'loaded', baseUrl, data, via };
+        } catch (error) {
+            console.error('Error loading TerminologyCapabilities:', error);
+            result = { status: 'error', baseUrl, error: error.message };
+        }
+
+        // Ignore responses that arrive after another statement or base URL was loaded
+        if (this.terminologyCapabilities !== pending) {
+            return;
+        }
+        this.terminologyCapabilities = result;
+        this.renderTerminology();
+    }
+
+    describeFlag(value) {
+        if (value === undefined || value === null) {
+            return 'Not specified';
+        }
+        return value ? 'Yes' : 'No';
+    }
+
+    renderTerminology() {
+        const terminologyTab = document.getElementById('terminology-tab');
+        const terminology = this.terminologyCapabilities;
+
+        let contentHtml;
+        if (terminology?.status === 'loading') {
+            contentHtml = '<p>Loading TerminologyCapabilities...</p>';
+        } else if (terminology?.status === 'error') {
+            contentHtml = `<p class="smart-error">Could not load TerminologyCapabilities: ${this.escapeHtml(terminology.error)}</p>`;
+        } else if (terminology?.status === 'loaded') {
+            contentHtml = this.renderTerminologyCapabilities(terminology);
+        } else {
+            contentHtml = '<p class="diff-none">Not loaded. Terminology servers describe their code systems and terminology operations at /metadata?mode=terminology.</p>';
+        }
+
+        terminologyTab.innerHTML = `
+            <h3>Terminology Capabilities</h3>
+            <div class="terminology-fetch">
+                <input type="url" id="terminology-base-url" placeholder="FHIR server base URL" value="${this.escapeHtml(terminology?.baseUrl ?? this.getServerBaseUrl())}">
+                <button id="terminology-fetch-button" ${terminology?.status === 'loading' ? 'disabled' : ''}>Fetch /metadata?mode=terminology</button>
+            </div>
+            ${contentHtml}
+        `;
+
+        document.getElementById('terminology-fetch-button').addEventListener('click', () => {
+            this.loadTerminologyCapabilities(document.getElementById('terminology-base-url').value.trim());
+        });
+        const rawPre = terminologyTab.querySelector('.terminology-raw pre');
+        if (rawPre) {
+            rawPre.textContent = JSON.stringify(terminology.data, null, 2);
+        }
+    }
+
+    renderTerminologyCapabilities({ data, via, baseUrl }) {
+        const codeSystems = data.codeSystem || [];
+        const hasContent = codeSystems.some(codeSystem => codeSystem.content);
+        const hasSubsumption = codeSystems.some(codeSystem => codeSystem.subsumption !== undefined);
+        // Languages, filters and properties are declared per version; the table lists them per code system
+        const collect = (codeSystem, select) => [...new Set((codeSystem.version || []).flatMap(select))];
+
+        const operations = [];
+        if (data.expansion) {
+            const { expansion } = data;
+            operations.push(`
+                <div class="overview-card">
+                    <h3>$expand</h3>
+                    <p>Hierarchical: ${this.describeFlag(expansion.hierarchical)}</p>
+                    <p>Paging: ${this.describeFlag(expansion.paging)}</p>
+                    <p>Incomplete: ${this.describeFlag(expansion.incomplete)}</p>
+                    ${expansion.parameter?.length > 0 ? `
+                        <p><strong>Parameters:</strong></p>
+                        <ul class="terminology-parameters">
+                            ${expansion.parameter.map(parameter => `
+                                <li><code>${this.escapeHtml(parameter.name)}</code>${parameter.documentation ? ` – ${this.escapeHtml(parameter.documentation)}` : ''}</li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                    ${expansion.textFilter ? `<p><strong>Text filter:</strong></p>${this.renderMarkdown(expansion.textFilter)}` : ''}
+                </div>
+            `);
+        }
+        if (data.validateCode) {
+            operations.push(`
+                <div class="overview-card">
+                    <h3>$validate-code</h3>
+                    <p>Translations: ${this.describeFlag(data.validateCode.translations)}</p>
+                </div>
+            `);
+        }
+        if (data.translation) {
+            operations.push(`
+                <div class="overview-card">
+                    <h3>$translate</h3>
+                    <p>Needs map: ${this.describeFlag(data.translation.needsMap)}</p>
+                </div>
+            `);
+        }
+        if (data.closure) {
+            operations.push(`
+                <div class="overview-card">
+                    <h3>$closure</h3>
+                    <p>Translation: ${this.describeFlag(data.closure.translation)}</p>
+                </div>
+            `);
+        }
+
+        return `
+            <p class="fetch-path fetch-path-${via.type}">
+                Served ${this.escapeHtml(this.describeFetchPath(via))} from ${this.escapeHtml(FHIRCapabilityCore.buildMetadataUrl(baseUrl, 'terminology'))}
+            </p>
+            <div class="overview-grid">
+                <div class="overview-card">
+                    <h3>Name</h3>
+                    <p>${this.escapeHtml(data.title || data.name || 'Not specified')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Status</h3>
+                    <p>${this.escapeHtml(data.status || 'Unknown')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Kind</h3>
+                    <p>${this.escapeHtml(data.kind || 'Not specified')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Date</h3>
+                    <p>${data.date ? this.escapeHtml(new Date(data.date).toLocaleDateString()) : 'Not specified'}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Software/Name</h3>
+                    <p>${this.escapeHtml(data.software?.name || 'Not specified')}</p>
+                    ${data.software?.version ? `<p><small>Version ${this.escapeHtml(data.software.version)}</small></p>` : ''}
+                </div>
+                <div class="overview-card">
+                    <h3>Locked Date</h3>
+                    <p>${this.describeFlag(data.lockedDate)}</p>
+                </div>
+                ${data.codeSearch ? `
+                    <div class="overview-card">
+                        <h3>Code Search</h3>
+                        <p>${this.escapeHtml(data.codeSearch)}</p>
+                    </div>
+                ` : ''}
+            </div>
+            ${data.description ? `<div style="margin-top: 1rem;"><h3>Description</h3>${this.renderMarkdown(data.description)}</div>` : ''}
+
+            <h3 style="margin-top: 1.5rem;">Code Systems (${codeSystems.length})</h3>
+            ${codeSystems.length > 0 ? `
+                <div class="terminology-table-wrapper">
+                    <table class="definition-table terminology-code-systems">
+                        <thead>
+                            <tr>
+                                <th>Code System</th>
+                                <th>Versions</th>
+                                <th>Languages</th>
+                                <th>Filters</th>
+                                <th>Properties</th>
+                                ${hasContent ? '<th>Content</th>' : ''}
+                                ${hasSubsumption ? '<th>Subsumption</th>' : ''}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${codeSystems.map(codeSystem => `
+                                <tr>
+                                    <td><code>${this.escapeHtml(codeSystem.uri || 'Not specified')}</code></td>
+                                    <td>${(codeSystem.version || []).map(version => `
+                                        ${this.escapeHtml(version.code || 'any')}${version.isDefault ? ' <span class="interaction-tag">default</span>' : ''}${version.compositional ? ' <span class="interaction-tag">compositional</span>' : ''}
+                                    `).join('<br>') || '–'}</td>
+                                    <td>${this.escapeHtml(collect(codeSystem, version => version.language || []).join(', ') || '–')}</td>
+                                    <td>${this.escapeHtml(collect(codeSystem, version => (version.filter || []).map(filter => `${filter.code} (${(filter.op || []).join(', ')})`)).join('; ') || '–')}</td>
+                                    <td>${this.escapeHtml(collect(codeSystem, version => version.property || []).join(', ') || '–')}</td>
+                                    ${hasContent ? `<td>${this.escapeHtml(codeSystem.content || '–')}</td>` : ''}
+                                    ${hasSubsumption ? `<td>${this.describeFlag(codeSystem.subsumption)}</td>` : ''}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '<p class="diff-none">No code systems declared.</p>'}
+
+            <h3 style="margin-top: 1.5rem;">Terminology Operations</h3>
+            ${operations.length > 0 ? `<div class="overview-grid">${operations.join('')}</div>` : '<p class="diff-none">No expansion, validate-code, translation or closure capabilities declared.</p>'}
+            ${this.renderExtensions(data)}
+
+            <details class="terminology-raw">
+                <summary>Raw TerminologyCapabilities JSON</summary>
+                <div class="json-container"><pre></pre></div>
+            </details>
+        `;
+    }
+
+    findSmartMismatches(oauthUris, smartConfig) {
+        if (!smartConfig) {
+            return [];
+        }
+        if (!oauthUris) {
+            return ['The CapabilityStatement has no oauth-uris extension, but the server publishes a smart-configuration.'];
+        }
+
+        const normalize = uri => (uri || '').replace(/\/+$/, '');
+        const mismatches = [];
+
+        SMART_ENDPOINTS.forEach(endpoint => {
+            const declared = oauthUris[endpoint.extension];
+            const published = smartConfig[endpoint.property];
+
+            if (declared && published && normalize(declared) !== normalize(published)) {
+                mismatches.push(`${endpoint.label} endpoint differs: the CapabilityStatement declares ${declared}, the smart-configuration publishes ${published}.`);
+            } else if (declared && !published) {
+                mismatches.push(`${endpoint.label} endpoint is declared in the CapabilityStatement but missing from the smart-configuration.`);
+            } else if (!declared && published) {
+                mismatches.push(`${endpoint.label} endpoint is published in the smart-configuration but missing from the oauth-uris extension.`);
+            }
+        });
+
+        return mismatches;
+    }
+
+    renderSmartEndpointRows(uris) {
+        // uris is keyed by oauth-uris sub-extension name
+        const rows = SMART_ENDPOINTS
+            .filter(endpoint => uris[endpoint.extension])
+            .map(endpoint => `<div class="contact-field"><strong>${endpoint.label}:</strong> ${this.escapeHtml(uris[endpoint.extension])}</div>`)
+            .join('');
+        return rows || '<p class="diff-none">No endpoints declared.</p>';
+    }
+
+    renderSmartList(label, values) {
+        if (!values?.length) {
+            return '';
+        }
+        return `
+            <div style="margin-top: 1rem;">
+                <strong>${label}:</strong>
+                <div class="interaction-list">
+                    ${[].concat(values).map(value => `<span class="interaction-tag">${this.escapeHtml(value)}</span>`).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderSmartDiscovery(security) {
+        const oauthUris = FHIRCapabilityCore.getOAuthUris(security);
+        const smart = this.smartConfiguration;
+        const smartConfig = smart?.status === 'loaded' ? smart.data : null;
+        const mismatches = this.findSmartMismatches(oauthUris, smartConfig);
+
+        let configHtml = '';
+        if (smart?.status === 'loading') {
+            configHtml = '<p>Loading smart-configuration...</p>';
+        } else if (smart?.status === 'error') {
+            configHtml = `<p class="smart-error">Could not load smart-configuration: ${this.escapeHtml(smart.error)}</p>`;
+        } else if (smartConfig) {
+            const endpoints = {};
+            SMART_ENDPOINTS.forEach(endpoint => {
+                endpoints[endpoint.extension] = smartConfig[endpoint.property];
+            });
+            configHtml = `
+                <p class="fetch-path">Served ${this.escapeHtml(this.describeFetchPath(smart.via))}</p>
+                ${this.renderSmartEndpointRows(endpoints)}
+                ${this.renderSmartList('Capabilities', smartConfig.capabilities)}
+                ${this.renderSmartList('Supported Scopes', smartConfig.scopes_supported)}
+                ${this.renderSmartList('PKCE Methods', smartConfig.code_challenge_methods_supported)}
+                ${this.renderSmartList('Grant Types', smartConfig.grant_types_supported)}
+                ${this.renderSmartList('Token Endpoint Auth Methods', smartConfig.token_endpoint_auth_methods_supported)}
+            `;
+        } else {
+            configHtml = '<p class="diff-none">Not loaded.</p>';
+        }
+
+        return `
+            <div class="smart-section">
+                <h3>SMART App Launch</h3>
+
+                <div class="smart-source">
+                    <h4>CapabilityStatement oauth-uris extension</h4>
+                    ${oauthUris ? this.renderSmartEndpointRows(oauthUris) : '<p class="diff-none">No oauth-uris extension declared.</p>'}
+                </div>
+
+                <div class="smart-source">
+                    <h4>.well-known/smart-configuration</h4>
+                    <div class="smart-fetch">
+                        <input type="url" id="smart-base-url" placeholder="FHIR server base URL" value="${this.escapeHtml(smart?.baseUrl ?? this.getServerBaseUrl())}">
+                        <button id="smart-fetch-button" ${smart?.status === 'loading' ? 'disabled' : ''}>Fetch</button>
                     </div>
-                    <div class="resource-content">
-                        <div><strong>Profile:</strong> ${resource.profile || 'Not specified'}</div>
-                        <div><strong>Supported Interactions:</strong></div>
-                        <div class="interaction-list">
-                            ${resource.interaction?.map(i => `<span class="interaction-tag">${i.code}</span>`).join('') || '<span>None</span>'}
-                        </div>
-                        ${resource.searchParam ? `
-                            <div class="search-params">
-                                <strong>Search Parameters:</strong>
-                                ${resource.searchParam.map(p => `
-                                    <div class="search-param">
-                                        <strong>${p.name}</strong> (${p.type}) - ${p.documentation || 'No documentation'}
-                                    </div>
-                                `).join('')}
-                            </div>
-                        ` : ''}
-                        ${resource.versioning ? `<div><strong>Versioning:</strong> ${resource.versioning}</div>` : ''}
-                        ${resource.readHistory !== undefined ? `<div><strong>Read History:</strong> ${resource.readHistory}</div>` : ''}
-                        ${resource.updateCreate !== undefined ? `<div><strong>Update Create:</strong> ${resource.updateCreate}</div>` : ''}
-                        ${resource.conditionalCreate !== undefined ? `<div><strong>Conditional Create:</strong> ${resource.conditionalCreate}</div>` : ''}
-                        ${resource.conditionalRead ? `<div><strong>Conditional Read:</strong> ${resource.conditionalRead}</div>` : ''}
-                        ${resource.conditionalUpdate !== undefined ? `<div><strong>Conditional Update:</strong> ${resource.conditionalUpdate}</div>` : ''}
-                        ${resource.conditionalDelete ? `<div><strong>Conditional Delete:</strong> ${resource.conditionalDelete}</div>` : ''}
+                    ${configHtml}
+                </div>
+
+                ${mismatches.length > 0 ? `
+                    <div class="smart-mismatches">
+                        <strong>⚠ Mismatches between the CapabilityStatement and smart-configuration:</strong>
+                        <ul>${mismatches.map(mismatch => `<li>${this.escapeHtml(mismatch)}</li>`).join('')}</ul>
                     </div>
+                ` : ''}
+                ${smartConfig && oauthUris && mismatches.length === 0 ? '<p class="smart-match">✓ The oauth-uris extension matches the smart-configuration.</p>' : ''}
+            </div>
+        `;
+    }
+
+    renderRawData() {
+        const rawTab = document.getElementById('raw-tab');
+        const format = this.rawDataFormat;
+
+        rawTab.innerHTML = `
+            <div class="raw-header">
+                <h3>Raw ${this.escapeHtml(this.sourceData.resourceType)} ${format.toUpperCase()}</h3>
+                <div class="raw-format-toggle">
+                    <button class="${format === 'json' ? 'active' : ''}" data-format="json">JSON</button>
+                    <button class="${format === 'xml' ? 'active' : ''}" data-format="xml">XML</button>
+                </div>
+            </div>
+            ${format === 'json' ? `
+                <form class="raw-path-search">
+                    <input type="search" class="raw-path-input" value="${this.escapeHtml(this.rawPathQuery)}"
+                           placeholder="Find a path, e.g. rest.resource.where(type='Patient').searchParam or $.rest[0].resource[*].type"
+                           aria-label="Find a path in the statement">
+                    <button type="submit" class="definition-button">Find</button>
+                    <span class="raw-path-status"></span>
+                </form>
+                <div class="raw-path-results"></div>
+                <div class="json-container json-tree">
+                    ${this.renderJsonNode(null, this.sourceData, [])}
+                </div>
+            ` : `
+                <div class="json-container">
+                    <pre></pre>
+                </div>
+            `}
+        `;
+
+        rawTab.querySelectorAll('.raw-format-toggle button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.rawDataFormat = button.dataset.format;
+                this.renderRawData();
+            });
+        });
+
+        if (format === 'xml') {
+            // Set as text so XML markup is displayed rather than parsed
+            rawTab.querySelector('pre').textContent = FHIRCapabilityCore.fhirJsonToXml(this.sourceData);
+            return;
+        }
+
+        const tree = rawTab.querySelector('.json-tree');
+        this.setJsonNodeExpanded(tree.querySelector('.json-node'), true);
+        tree.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) {
+                return;
+            }
+            const node = button.closest('.json-node');
+            const path = JSON.parse(node.dataset.path);
+            if (button.classList.contains('json-toggle')) {
+                this.setJsonNodeExpanded(node, !node.classList.contains('json-node-expanded'));
+            } else if (button.classList.contains('json-more')) {
+                this.renderJsonChildren(node, parseInt(button.dataset.offset, 10));
+            } else if (button.dataset.action === 'copy-path') {
+                this.copyText(this.formatJsonPath(path), button);
+            } else if (button.dataset.action === 'copy-value') {
+                const value = this.getJsonAtPath(path);
+                this.copyText(typeof value === 'string' ? value : JSON.stringify(value, null, 2), button);
+            }
+        });
+
+        rawTab.querySelector('.raw-path-search').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.rawPathQuery = rawTab.querySelector('.raw-path-input').value.trim();
+            this.searchRawPath();
+        });
+        rawTab.querySelector('.raw-path-results').addEventListener('click', (e) => {
+            const result = e.target.closest('.raw-path-result');
+            if (result) {
+                this.revealJsonPath(JSON.parse(result.dataset.path));
+            }
+        });
+    }
+
+    // Objects and arrays only get their children rendered when expanded, so huge statements stay fast
+    renderJsonNode(key, value, path) {
+        const isContainer = value !== null && typeof value === 'object';
+        const size = isContainer ? (Array.isArray(value) ? value.length : Object.keys(value).length) : 0;
+        const summary = Array.isArray(value)
+            ? `[ ${size} item${size === 1 ? '' : 's'} ]`
+            : `{ ${size} propert${size === 1 ? 'y' : 'ies'} }`;
+
+        return `
+            <div class="json-node" data-path="${this.escapeHtml(JSON.stringify(path))}">
+                <div class="json-line">
+                    ${isContainer && size > 0
+                        ? '<button type="button" class="json-toggle" aria-expanded="false" title="Expand">▸</button>'
+                        : '<span class="json-toggle-spacer"></span>'}
+                    ${key === null ? '' : typeof key === 'number'
+                        ? `<span class="json-index">${key}</span>: `
+                        : `<span class="json-key">"${this.escapeHtml(key)}"</span>: `}
+                    ${isContainer ? `<span class="json-summary">${summary}</span>` : this.renderJsonValue(value)}
+                    <span class="json-actions">
+                        <button type="button" class="json-action" data-action="copy-path">Copy path</button>
+                        <button type="button" class="json-action" data-action="copy-value">Copy value</button>
+                    </span>
+                </div>
+                ${isContainer && size > 0 ? '<div class="json-children"></div>' : ''}
+            </div>
+        `;
+    }
+
+    renderJsonValue(value) {
+        if (value === null) {
+            return '<span class="json-null">null</span>';
+        }
+        switch (typeof value) {
+            case 'string':
+                return `<span class="json-string">${this.escapeHtml(JSON.stringify(value))}</span>`;
+            case 'number':
+                return `<span class="json-number">${value}</span>`;
+            case 'boolean':
+                return `<span class="json-boolean">${value}</span>`;
+            default:
+                return `<span class="json-null">${this.escapeHtml(String(value))}</span>`;
+        }
+    }
+
+    setJsonNodeExpanded(node, expanded) {
+        const toggle = node.querySelector(':scope > .json-line > .json-toggle');
+        if (!toggle) {
+            return;
+        }
+        if (expanded && !node.dataset.rendered) {
+            node.dataset.rendered = 'true';
+            this.renderJsonChildren(node, 0);
+        }
+        node.classList.toggle('json-node-expanded', expanded);
+        toggle.textContent = expanded ? '▾' : '▸';
+        toggle.title = expanded ? 'Collapse' : 'Expand';
+        toggle.setAttribute('aria-expanded', String(expanded));
+    }
+
+    renderJsonChildren(node, offset) {
+        const path = JSON.parse(node.dataset.path);
+        const value = this.getJsonAtPath(path);
+        const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+        const children = node.querySelector(':scope > .json-children');
+        const remaining = entries.length - offset - JSON_TREE_PAGE_SIZE;
+
+        children.querySelector(':scope > .json-more')?.remove();
+        children.insertAdjacentHTML('beforeend', entries
+            .slice(offset, offset + JSON_TREE_PAGE_SIZE)
+            .map(([key, child]) => this.renderJsonNode(key, child, [...path, key]))
+            .join('') + (remaining > 0
+            ? `<button type="button" class="json-more" data-offset="${offset + JSON_TREE_PAGE_SIZE}">Show ${Math.min(remaining, JSON_TREE_PAGE_SIZE)} more of ${remaining}</button>`
+            : ''));
+    }
+
+    getJsonAtPath(path) {
+        return path.reduce((value, key) => value?.[key], this.sourceData);
+    }
+
+    // FHIRPath-style, e.g. CapabilityStatement.rest[0].resource[3].type
+    formatJsonPath(path) {
+        return path.reduce((text, key) => typeof key === 'number' ? `${text}[${key}]` : `${text}.${key}`,
+            this.sourceData.resourceType || '$');
+    }
+
+    // Supports a subset of both syntaxes: names (with FHIRPath-style flattening of arrays), *, [n], [*],
+    // FHIRPath .where(key='value') and JSONPath [?(@.key=='value')]
+    queryJsonPath(query) {
+        const resourceType = String(this.sourceData.resourceType || '');
+        let expression = query.trim();
+        if (expression.startsWith('$')) {
+            expression = expression.slice(1);
+        } else if (resourceType && expression.startsWith(resourceType) && /^($|[.[])/.test(expression.slice(resourceType.length))) {
+            expression = expression.slice(resourceType.length);
+        }
+
+        const steps = [];
+        const token = /\.?where\(\s*([\w-]+)\s*=\s*(['"])(.*?)\2\s*\)|\[\?\(@\.([\w-]+)\s*==?\s*(['"])(.*?)\5\s*\)\]|\[(\d+|\*)\]|\.?([A-Za-z_][\w-]*|\*)/y;
+        while (token.lastIndex < expression.length) {
+            const position = token.lastIndex;
+            const match = token.exec(expression);
+            if (!match) {
+                throw new Error(`Unsupported path syntax at "${expression.slice(position)}"`);
+            }
+            if (match[1]) {
+                steps.push({ filter: { key: match[1], value: match[3] } });
+            } else if (match[4]) {
+                steps.push({ filter: { key: match[4], value: match[6] } });
+            } else if (match[7]) {
+                steps.push({ index: match[7] });
+            } else {
+                steps.push({ name: match[8] });
+            }
+        }
+
+        const items = node => Array.isArray(node.value)
+            ? node.value.map((item, index) => ({ value: item, path: [...node.path, index] }))
+            : [node];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        let nodes = [{ value: this.sourceData, path: [] }];
+        steps.forEach(step => {
+            if (step.name) {
+                nodes = nodes.flatMap(items).flatMap(node => {
+                    if (!isObject(node.value)) {
+                        return [];
+                    }
+                    const keys = step.name === '*'
+                        ? Object.keys(node.value)
+                        : [step.name].filter(key => Object.prototype.hasOwnProperty.call(node.value, key));
+                    return keys.map(key => ({ value: node.value[key], path: [...node.path, key] }));
+                });
+            } else if (step.index === '*') {
+                nodes = nodes.flatMap(items);
+            } else if (step.index !== undefined) {
+                const index = Number(step.index);
+                // A single value behaves like a one-item collection
+                nodes = nodes.flatMap(node => Array.isArray(node.value)
+                    ? (index < node.value.length ? [{ value: node.value[index], path: [...node.path, index] }] : [])
+                    : (index === 0 ? [node] : []));
+            } else {
+                const { key, value } = step.filter;
+                nodes = nodes.flatMap(items).filter(node => isObject(node.value) && node.value[key] !== undefined && String(node.value[key]) === value);
+            }
+        });
+
+        return nodes.map(node => node.path);
+    }
+
+    searchRawPath() {
+        const rawTab = document.getElementById('raw-tab');
+        const status = rawTab.querySelector('.raw-path-status');
+        const results = rawTab.querySelector('.raw-path-results');
+        results.innerHTML = '';
+
+        if (!this.rawPathQuery) {
+            status.textContent = '';
+            return;
+        }
+
+        let paths;
+        try {
+            paths = this.queryJsonPath(this.rawPathQuery);
+        } catch (error) {
+            status.textContent = error.message;
+            return;
+        }
+
+        status.textContent = paths.length === 0
+            ? 'No matches'
+            : `${paths.length} match${paths.length === 1 ? '' : 'es'}${paths.length > JSON_SEARCH_RESULT_LIMIT ? ` (showing the first ${JSON_SEARCH_RESULT_LIMIT})` : ''}`;
+        results.innerHTML = paths.slice(0, JSON_SEARCH_RESULT_LIMIT).map(path => {
+            const value = this.getJsonAtPath(path);
+            const preview = value !== null && typeof value === 'object'
+                ? (Array.isArray(value) ? `[${value.length}]` : '{…}')
+                : JSON.stringify(value);
+            return `
+                <button type="button" class="raw-path-result" data-path="${this.escapeHtml(JSON.stringify(path))}">
+                    <code>${this.escapeHtml(this.formatJsonPath(path))}</code>
+                    <span class="raw-path-preview">${this.escapeHtml(preview.length > 80 ? `${preview.slice(0, 80)}…` : preview)}</span>
+                </button>
+            `;
+        }).join('');
+
+        if (paths.length > 0) {
+            this.revealJsonPath(paths[0]);
+        }
+    }
+
+    // Expands the tree down to path, loading further pages of children where needed, and selects the node
+    revealJsonPath(path) {
+        const tree = document.querySelector('#raw-tab .json-tree');
+        let node = tree.querySelector('.json-node');
+
+        for (let depth = 1; depth <= path.length && node; depth++) {
+            this.setJsonNodeExpanded(node, true);
+            const target = JSON.stringify(path.slice(0, depth));
+            const children = node.querySelector(':scope > .json-children');
+            let child = [...children.children].find(element => element.dataset.path === target);
+            while (!child && children.querySelector(':scope > .json-more')) {
+                this.renderJsonChildren(node, parseInt(children.querySelector(':scope > .json-more').dataset.offset, 10));
+                child = [...children.children].find(element => element.dataset.path === target);
+            }
+            node = child;
+        }
+        if (!node) {
+            return;
+        }
+
+        tree.querySelectorAll('.json-node-selected').forEach(element => element.classList.remove('json-node-selected'));
+        node.classList.add('json-node-selected');
+        node.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    getResourcePath(resource) {
+        return ['rest', this.selectedRestIndex, 'resource', this.getSelectedRest().resource.indexOf(resource)];
+    }
+
+    renderRawLink(path) {
+        return `<button type="button" class="raw-link" data-raw-path="${this.escapeHtml(JSON.stringify(path))}" title="Show this element in the Raw Data tab">{ } View in Raw Data</button>`;
+    }
+
+    showRawPath(path) {
+        if (this.rawDataFormat !== 'json') {
+            this.rawDataFormat = 'json';
+            this.renderRawData();
+        }
+        this.switchTab('raw');
+        this.revealJsonPath(path);
+        this.recordViewState(true);
+    }
+
+    copyText(text, button) {
+        navigator.clipboard.writeText(text).then(() => {
+            const originalText = button.textContent;
+            button.textContent = 'Copied';
+            setTimeout(() => {
+                button.textContent = originalText;
+            }, 1500);
+        }).catch(() => {
+            alert(text);
+        });
+    }
+
+    updateSourceInputs(select) {
+        // Show only the input that matches the chosen source type
+        select.parentElement.querySelectorAll('.compare-input').forEach(input => {
+            input.style.display = input.dataset.source === select.value ? 'block' : 'none';
+        });
+    }
+
+    async resolveCompareSource(side) {
+        const sourceType = document.getElementById(`compare-${side}-type`).value;
+        const sideLabel = `Statement ${side.toUpperCase()}`;
+        let data;
+        let url = null;
+        let label;
+
+        if (sourceType === 'current') {
+            if (!this.capabilityData) {
+                throw new Error(`${sideLabel}: no CapabilityStatement is currently loaded`);
+            }
+            data = this.capabilityData;
+            url = this.currentSource?.url || null;
+            label = this.currentSource?.label || 'Currently loaded statement';
+        } else if (sourceType === 'url') {
+            url = document.getElementById(`compare-${side}-url`).value.trim();
+            if (!url || !this.isValidUrl(url)) {
+                throw new Error(`${sideLabel}: please enter a valid URL`);
+            }
+            try {
+                ({ data } = await this.fetchCapabilityStatement(url));
+            } catch (error) {
+                throw new Error(`${sideLabel}: ${this.describeLoadError(error)}`);
+            }
+            label = url;
+        } else if (sourceType === 'file') {
+            const file = document.getElementById(`compare-${side}-file`).files[0];
+            if (!file) {
+                throw new Error(`${sideLabel}: please choose a file`);
+            }
+            data = this.parseCompareText(await this.readFileAsText(file), sideLabel);
+            label = file.name;
+        } else {
+            const text = document.getElementById(`compare-${side}-paste`).value.trim();
+            if (!text) {
+                throw new Error(`${sideLabel}: please paste CapabilityStatement JSON or XML`);
+            }
+            data = this.parseCompareText(text, sideLabel);
+            label = 'Pasted statement';
+        }
+
+        if (!FHIRCapabilityCore.isValidCapabilityStatement(data)) {
+            throw new Error(`${sideLabel}: the input does not appear to be a valid FHIR CapabilityStatement`);
+        }
+
+        // The loaded statement is already normalized
+        if (sourceType !== 'current') {
+            data = FHIRCapabilityCore.normalizeCapabilityStatement(data).data;
+        }
+
+        return { type: sourceType, url, label, data };
+    }
+
+    parseCompareText(text, sideLabel) {
+        try {
+            return FHIRCapabilityCore.parseFhirResourceText(text);
+        } catch (parseError) {
+            throw new Error(`${sideLabel}: ${parseError.message}`);
+        }
+    }
+
+    async runComparison() {
+        const compareButton = document.getElementById('compare-button');
+        const resultsContainer = document.getElementById('compare-results');
+
+        compareButton.disabled = true;
+        compareButton.textContent = 'Comparing...';
+        resultsContainer.innerHTML = '';
+
+        try {
+            const [a, b] = await Promise.all([
+                this.resolveCompareSource('a'),
+                this.resolveCompareSource('b')
+            ]);
+
+            this.comparison = {
+                a,
+                b,
+                diff: this.diffCapabilityStatements(a.data, b.data)
+            };
+            this.renderComparison();
+        } catch (error) {
+            console.error('Error comparing CapabilityStatements:', error);
+            this.comparison = null;
+            resultsContainer.innerHTML = `
+                <div class="error-message">
+                    <h3>Comparison failed</h3>
+                    <p>${this.escapeHtml(error.message)}</p>
+                </div>
+            `;
+        } finally {
+            compareButton.disabled = false;
+            compareButton.textContent = 'Compare';
+        }
+    }
+
+    diffLists(aItems, bItems) {
+        const aSet = new Set(aItems);
+        const bSet = new Set(bItems);
+        return {
+            added: [...bSet].filter(item => !aSet.has(item)),
+            removed: [...aSet].filter(item => !bSet.has(item))
+        };
+    }
+
+    getSecurityServiceCodes(rest) {
+        return rest?.security?.service?.map(service =>
+            service.coding?.[0]?.code || service.coding?.[0]?.display || service.text || 'Unknown'
+        ) || [];
+    }
+
+    diffCapabilityStatements(a, b) {
+        // Top-level fields that commonly change between releases
+        const metadata = ['fhirVersion', 'version', 'status', 'date', 'software.name', 'software.version']
+            .map(field => {
+                const read = data => field.split('.').reduce((value, key) => value?.[key], data);
+                return { field, from: read(a), to: read(b) };
+            })
+            .filter(entry => entry.from !== entry.to);
+
+        const endpoints = this.pairRestEndpoints(a.rest || [], b.rest || []).map(({ mode, restA, restB }) => ({
+            mode,
+            inA: Boolean(restA),
+            inB: Boolean(restB),
+            ...this.diffRestEndpoints(restA || {}, restB || {})
+        }));
+
+        return { metadata, endpoints };
+    }
+
+    pairRestEndpoints(restEntriesA, restEntriesB) {
+        // Endpoints are matched by mode, in declaration order within each mode
+        const pairs = [];
+        const seenB = new Set();
+        const modeOccurrences = {};
+
+        restEntriesA.forEach(restA => {
+            const mode = restA.mode || 'unspecified';
+            const occurrence = modeOccurrences[mode] = (modeOccurrences[mode] || 0) + 1;
+            const restB = restEntriesB.filter(rest => (rest.mode || 'unspecified') === mode)[occurrence - 1];
+            if (restB) {
+                seenB.add(restB);
+            }
+            pairs.push({ mode, restA, restB });
+        });
+
+        restEntriesB.filter(restB => !seenB.has(restB)).forEach(restB => {
+            pairs.push({ mode: restB.mode || 'unspecified', restA: null, restB });
+        });
+
+        return pairs;
+    }
+
+    diffRestEndpoints(restA, restB) {
+        const resourcesA = new Map((restA.resource || []).map(r => [r.type, r]));
+        const resourcesB = new Map((restB.resource || []).map(r => [r.type, r]));
+        const resourceTypes = this.diffLists([...resourcesA.keys()], [...resourcesB.keys()]);
+
+        const changedResources = [...resourcesA.keys()]
+            .filter(type => resourcesB.has(type))
+            .map(type => {
+                const resourceA = resourcesA.get(type);
+                const resourceB = resourcesB.get(type);
+
+                const paramsA = new Map((resourceA.searchParam || []).map(p => [p.name, p]));
+                const paramsB = new Map((resourceB.searchParam || []).map(p => [p.name, p]));
+                const paramNames = this.diffLists([...paramsA.keys()], [...paramsB.keys()]);
+
+                return {
+                    type,
+                    interactions: this.diffLists(
+                        resourceA.interaction?.map(i => i.code) || [],
+                        resourceB.interaction?.map(i => i.code) || []
+                    ),
+                    searchParams: {
+                        added: paramNames.added.map(name => paramsB.get(name)),
+                        removed: paramNames.removed.map(name => paramsA.get(name)),
+                        typeChanged: [...paramsA.keys()]
+                            .filter(name => paramsB.has(name) && paramsA.get(name).type !== paramsB.get(name).type)
+                            .map(name => ({ name, from: paramsA.get(name).type, to: paramsB.get(name).type }))
+                    },
+                    operations: this.diffLists(
+                        resourceA.operation?.map(op => op.name) || [],
+                        resourceB.operation?.map(op => op.name) || []
+                    )
+                };
+            })
+            .filter(change =>
+                change.interactions.added.length || change.interactions.removed.length ||
+                change.searchParams.added.length || change.searchParams.removed.length ||
+                change.searchParams.typeChanged.length ||
+                change.operations.added.length || change.operations.removed.length
+            );
+
+        return {
+            resources: {
+                added: resourceTypes.added,
+                removed: resourceTypes.removed,
+                changed: changedResources
+            },
+            systemInteractions: this.diffLists(
+                restA.interaction?.map(i => i.code) || [],
+                restB.interaction?.map(i => i.code) || []
+            ),
+            operations: this.diffLists(
+                restA.operation?.map(op => op.name) || [],
+                restB.operation?.map(op => op.name) || []
+            ),
+            security: {
+                cors: restA.security?.cors !== restB.security?.cors
+                    ? { from: restA.security?.cors, to: restB.security?.cors }
+                    : null,
+                services: this.diffLists(this.getSecurityServiceCodes(restA), this.getSecurityServiceCodes(restB))
+            }
+        };
+    }
+
+    renderDiffTags(list, kind) {
+        const sign = kind === 'added' ? '+' : '−';
+        return list.map(item => `<span class="diff-tag diff-${kind}">${sign} ${this.escapeHtml(item)}</span>`).join('');
+    }
+
+    renderDiffLists(diff, emptyText) {
+        if (diff.added.length === 0 && diff.removed.length === 0) {
+            return `<p class="diff-none">${emptyText}</p>`;
+        }
+        return `
+            <div class="interaction-list">
+                ${this.renderDiffTags(diff.added, 'added')}
+                ${this.renderDiffTags(diff.removed, 'removed')}
+            </div>
+        `;
+    }
+
+    renderComparison() {
+        const resultsContainer = document.getElementById('compare-results');
+        const { a, b, diff } = this.comparison;
+        const total = key => diff.endpoints.reduce((sum, endpoint) => sum + endpoint.resources[key].length, 0);
+
+        resultsContainer.innerHTML = `
+            <div class="compare-summary">
+                <div><strong>A:</strong> ${this.escapeHtml(a.label)}</div>
+                <div><strong>B:</strong> ${this.escapeHtml(b.label)}</div>
+            </div>
+
+            <div class="overview-grid">
+                <div class="overview-card">
+                    <h3>Resources Added</h3>
+                    <p>${total('added')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Resources Removed</h3>
+                    <p>${total('removed')}</p>
+                </div>
+                <div class="overview-card">
+                    <h3>Resources Changed</h3>
+                    <p>${total('changed')}</p>
+                </div>
+            </div>
+
+            ${diff.metadata.length > 0 ? `
+                <h3 class="compare-heading">Statement Details</h3>
+                ${diff.metadata.map(entry => `
+                    <div class="search-param diff-changed-row">~ <strong>${this.escapeHtml(entry.field)}</strong>: ${this.escapeHtml(entry.from ?? 'Not specified')} → ${this.escapeHtml(entry.to ?? 'Not specified')}</div>
+                `).join('')}
+            ` : ''}
+
+            ${diff.endpoints.length === 0 ? '<p class="diff-none" style="margin-top: 1rem;">Neither statement declares a REST endpoint.</p>' : ''}
+            ${diff.endpoints.map(endpoint => this.renderEndpointComparison(endpoint, diff.endpoints.length > 1)).join('')}
+        `;
+    }
+
+    renderEndpointComparison(endpoint, showHeading) {
+        const changedResourcesHtml = endpoint.resources.changed.map(change => `
+            <div class="resource-card">
+                <div class="resource-header" onclick="this.parentElement.querySelector('.resource-content').classList.toggle('active'); this.querySelector('.toggle').textContent = this.querySelector('.toggle').textContent === '+' ? '−' : '+';">
+                    <h3>${this.escapeHtml(change.type)}</h3>
+                    <span class="toggle">+</span>
+                </div>
+                <div class="resource-content">
+                    ${change.interactions.added.length || change.interactions.removed.length ? `
+                        <div><strong>Interactions:</strong></div>
+                        ${this.renderDiffLists(change.interactions, '')}
+                    ` : ''}
+                    ${change.searchParams.added.length || change.searchParams.removed.length || change.searchParams.typeChanged.length ? `
+                        <div class="search-params">
+                            <strong>Search Parameters:</strong>
+                            ${change.searchParams.added.map(p => `
+                                <div class="search-param diff-added-row">+ <strong>${this.escapeHtml(p.name)}</strong> (${this.escapeHtml(p.type || 'type not specified')})</div>
+                            `).join('')}
+                            ${change.searchParams.removed.map(p => `
+                                <div class="search-param diff-removed-row">− <strong>${this.escapeHtml(p.name)}</strong> (${this.escapeHtml(p.type || 'type not specified')})</div>
+                            `).join('')}
+                            ${change.searchParams.typeChanged.map(p => `
+                                <div class="search-param diff-changed-row">~ <strong>${this.escapeHtml(p.name)}</strong> type changed: ${this.escapeHtml(p.from)} → ${this.escapeHtml(p.to)}</div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    ${change.operations.added.length || change.operations.removed.length ? `
+                        <div style="margin-top: 1rem;"><strong>Operations:</strong></div>
+                        ${this.renderDiffLists({
+                            added: change.operations.added.map(name => `$${name}`),
+                            removed: change.operations.removed.map(name => `$${name}`)
+                        }, '')}
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        let presence = '';
+        if (!endpoint.inA) {
+            presence = '<span class="diff-tag diff-added">only in B</span>';
+        } else if (!endpoint.inB) {
+            presence = '<span class="diff-tag diff-removed">only in A</span>';
+        }
+
+        return `
+            ${showHeading || presence ? `<h3 class="compare-heading compare-endpoint-heading">REST Endpoint: ${this.escapeHtml(endpoint.mode)} ${presence}</h3>` : ''}
+
+            <h3 class="compare-heading">Resources</h3>
+            ${this.renderDiffLists(endpoint.resources, 'No resources added or removed.')}
+
+            <h3 class="compare-heading">Changed Resources (${endpoint.resources.changed.length})</h3>
+            ${changedResourcesHtml ? `<div class="resource-grid">${changedResourcesHtml}</div>` : '<p class="diff-none">No changes to shared resources.</p>'}
+
+            <h3 class="compare-heading">System-Level Interactions</h3>
+            ${this.renderDiffLists(endpoint.systemInteractions, 'No differences.')}
+
+            <h3 class="compare-heading">System-Level Operations</h3>
+            ${this.renderDiffLists({
+                added: endpoint.operations.added.map(name => `$${name}`),
+                removed: endpoint.operations.removed.map(name => `$${name}`)
+            }, 'No differences.')}
+
+            <h3 class="compare-heading">Security</h3>
+            ${endpoint.security.cors ? `<div class="search-param diff-changed-row">~ <strong>CORS</strong>: ${this.escapeHtml(endpoint.security.cors.from ?? 'Not specified')} → ${this.escapeHtml(endpoint.security.cors.to ?? 'Not specified')}</div>` : ''}
+            ${this.renderDiffLists(endpoint.security.services, endpoint.security.cors ? '' : 'No differences.')}
+        `;
+    }
+
+    async loadConformanceReference() {
+        const sourceType = document.getElementById('conformance-type').value;
+        let data;
+        let label;
+
+        if (sourceType === 'file') {
+            const file = document.getElementById('conformance-file').files[0];
+            if (!file) {
+                throw new Error('Please choose a reference CapabilityStatement file');
+            }
+            data = FHIRCapabilityCore.parseFhirResourceText(await this.readFileAsText(file));
+            label = file.name;
+        } else {
+            const igSelect = document.getElementById('conformance-ig');
+            const url = sourceType === 'ig'
+                ? igSelect.value
+                : document.getElementById('conformance-url').value.trim();
+            if (!url || !this.isValidUrl(url)) {
+                throw new Error('Please enter a valid reference CapabilityStatement URL');
+            }
+
+            // IG artifacts are static files, so no _format parameter and no server credentials
+            try {
+                data = FHIRCapabilityCore.parseFhirResourceText((await this.fetchText(url, {
+                    'Accept': 'application/fhir+json, application/json'
+                })).text);
+            } catch (error) {
+                throw new Error(this.describeLoadError(error));
+            }
+            label = sourceType === 'ig' ? igSelect.selectedOptions[0].textContent : url;
+        }
+
+        if (!FHIRCapabilityCore.isValidCapabilityStatement(data)) {
+            throw new Error('The reference does not appear to be a valid FHIR CapabilityStatement');
+        }
+
+        return { label, data: FHIRCapabilityCore.normalizeCapabilityStatement(data).data };
+    }
+
+    async runConformanceCheck() {
+        const checkButton = document.getElementById('conformance-button');
+        const resultsContainer = document.getElementById('conformance-results');
+
+        checkButton.disabled = true;
+        checkButton.textContent = 'Checking...';
+        resultsContainer.innerHTML = '';
+
+        try {
+            this.conformanceReference = await this.loadConformanceReference();
+            this.conformanceReport = this.scoreConformance(this.conformanceReference);
+            this.renderConformanceReport();
+        } catch (error) {
+            console.error('Error checking conformance:', error);
+            this.conformanceReference = null;
+            this.conformanceReport = null;
+            resultsContainer.innerHTML = `
+                <div class="error-message">
+                    <h3>Conformance check failed</h3>
+                    <p>${this.escapeHtml(error.message)}</p>
                 </div>
             `;
-        }).join('');
+        } finally {
+            checkButton.disabled = false;
+            checkButton.textContent = 'Check Conformance';
+        }
+    }
 
-        resourcesTab.innerHTML = `
-            <h3>Supported Resources (${resources.length})</h3>
-            <div class="resource-grid">
-                ${resourcesHtml}
-            </div>
-        `;
+    getExpectation(element, fallback = DEFAULT_EXPECTATION) {
+        return element?.extension?.find(ext => ext.url === EXPECTATION_EXTENSION)?.valueCode || fallback;
     }
 
-    renderInteractions() {
-        const interactionsTab = document.getElementById('interactions-tab');
-        const rest = this.capabilityData.rest?.[0];
-        
-        if (!rest) {
-            interactionsTab.innerHTML = '<p>No REST interface information found.</p>';
-            return;
-        }
+    scoreConformance(reference) {
+        const results = [];
+        const check = (resource, kind, item, expectation, supported) => {
+            // SHOULD-NOT entries describe things to avoid, not requirements to meet
+            if (expectation === 'SHOULD-NOT') {
+                return;
+            }
+            let status = 'pass';
+            if (!supported) {
+                status = expectation === 'SHALL' ? 'missing' : 'optional-missing';
+            }
+            results.push({ resource, kind, item, expectation, status });
+        };
+        const canonicalUrl = canonical => (canonical || '').split('|')[0];
 
-        let interactionsHtml = `
-            <h3>System-Level Interactions</h3>
-            <div class="interaction-list">
-                ${rest.interaction?.map(i => `<span class="interaction-tag">${i.code}</span>`).join('') || '<span>None specified</span>'}
-            </div>
-        `;
+        (reference.data.rest || []).forEach(referenceRest => {
+            const serverRest = this.capabilityData.rest?.find(rest => rest.mode === referenceRest.mode) || this.getSelectedRest() || {};
+            const serverInteractions = new Set(serverRest.interaction?.map(i => i.code) || []);
+            const serverOperations = new Set(serverRest.operation?.map(op => (op.name || '').replace(/^\$/, '')) || []);
 
-        if (rest.mode) {
-            interactionsHtml += `<div style="margin-top: 1rem;"><strong>Mode:</strong> ${rest.mode}</div>`;
-        }
+            referenceRest.interaction?.forEach(interaction => {
+                check('(system)', 'interaction', interaction.code, this.getExpectation(interaction), serverInteractions.has(interaction.code));
+            });
+            referenceRest.operation?.forEach(op => {
+                check('(system)', 'operation', `$${(op.name || '').replace(/^\$/, '')}`, this.getExpectation(op), serverOperations.has((op.name || '').replace(/^\$/, '')));
+            });
 
-        if (rest.documentation) {
-            interactionsHtml += `<div style="margin-top: 1rem;"><strong>Documentation:</strong> ${rest.documentation}</div>`;
-        }
+            referenceRest.resource?.forEach(referenceResource => {
+                const type = referenceResource.type;
+                const serverResource = serverRest.resource?.find(resource => resource.type === type);
+                const serverParams = new Set(serverResource?.searchParam?.map(param => param.name) || []);
+                const serverResourceInteractions = new Set(serverResource?.interaction?.map(i => i.code) || []);
+                const serverResourceOperations = new Set(serverResource?.operation?.map(op => (op.name || '').replace(/^\$/, '')) || []);
+                const serverProfiles = new Set([serverResource?.profile, ...(serverResource?.supportedProfile || [])].filter(Boolean).map(canonicalUrl));
 
-        // Collect all resource-level interactions
-        const resourceInteractions = {};
-        rest.resource?.forEach(resource => {
-            resource.interaction?.forEach(interaction => {
-                if (!resourceInteractions[interaction.code]) {
-                    resourceInteractions[interaction.code] = [];
-                }
-                resourceInteractions[interaction.code].push(resource.type);
+                check(type, 'resource', type, this.getExpectation(referenceResource), Boolean(serverResource));
+
+                referenceResource.supportedProfile?.forEach((profile, index) => {
+                    const expectation = this.getExpectation(referenceResource._supportedProfile?.[index]);
+                    check(type, 'profile', profile, expectation, serverProfiles.has(canonicalUrl(profile)));
+                });
+                referenceResource.interaction?.forEach(interaction => {
+                    check(type, 'interaction', interaction.code, this.getExpectation(interaction), serverResourceInteractions.has(interaction.code));
+                });
+                referenceResource.searchParam?.forEach(param => {
+                    check(type, 'searchParam', param.name, this.getExpectation(param), serverParams.has(param.name));
+                });
+                referenceResource.extension
+                    ?.filter(ext => ext.url === SEARCH_COMBINATION_EXTENSION)
+                    .forEach(combination => {
+                        const required = combination.extension?.filter(ext => ext.url === 'required').map(ext => ext.valueString) || [];
+                        check(type, 'combination', required.join('+'), this.getExpectation(combination),
+                            required.every(name => serverParams.has(name)));
+                    });
+                referenceResource.operation?.forEach(op => {
+                    const name = (op.name || '').replace(/^\$/, '');
+                    check(type, 'operation', `$${name}`, this.getExpectation(op), serverResourceOperations.has(name));
+                });
             });
         });
 
-        if (Object.keys(resourceInteractions).length > 0) {
-            interactionsHtml += `
-                <h3 style="margin-top: 2rem;">Resource-Level Interactions</h3>
-                ${Object.entries(resourceInteractions).map(([interaction, resources]) => `
-                    <div style="margin: 1rem 0;">
-                        <strong>${interaction}:</strong> ${resources.join(', ')}
-                    </div>
-                `).join('')}
-            `;
-        }
+        const summary = {};
+        ['SHALL', 'SHOULD', 'MAY'].forEach(expectation => {
+            const relevant = results.filter(result => result.expectation === expectation);
+            summary[expectation] = {
+                total: relevant.length,
+                passed: relevant.filter(result => result.status === 'pass').length
+            };
+        });
 
-        interactionsTab.innerHTML = interactionsHtml;
+        return {
+            reference: reference.label,
+            referenceUrl: reference.data.url,
+            server: this.currentSource?.label,
+            generatedAt: new Date().toISOString(),
+            summary,
+            results
+        };
     }
 
-    renderOperations() {
-        const operationsTab = document.getElementById('operations-tab');
-        const rest = this.capabilityData.rest?.[0];
-        
-        if (!rest?.operation && !rest?.resource?.some(r => r.operation)) {
-            operationsTab.innerHTML = '<p>No operations found in this CapabilityStatement.</p>';
-            return;
-        }
+    renderConformanceReport() {
+        const resultsContainer = document.getElementById('conformance-results');
+        const report = this.conformanceReport;
+        const statusLabels = {
+            'pass': '✓ Pass',
+            'missing': '✗ Missing',
+            'optional-missing': '○ Optional missing'
+        };
+        const kindLabels = {
+            resource: 'Resource',
+            profile: 'Profile',
+            interaction: 'Interaction',
+            searchParam: 'Search parameter',
+            combination: 'Combination',
+            operation: 'Operation'
+        };
 
-        let operationsHtml = '';
+        const byResource = new Map();
+        report.results.forEach(result => {
+            if (!byResource.has(result.resource)) {
+                byResource.set(result.resource, []);
+            }
+            byResource.get(result.resource).push(result);
+        });
 
-        // System-level operations
-        if (rest.operation?.length > 0) {
-            operationsHtml += `
-                <h3>System-Level Operations</h3>
-                <div class="resource-grid">
-                    ${rest.operation.map(op => `
-                        <div class="resource-card">
-                            <div class="resource-header">
-                                <h3>$${op.name}</h3>
-                            </div>
-                            <div class="resource-content active">
-                                <div><strong>Definition:</strong> ${op.definition}</div>
-                                ${op.documentation ? `<div><strong>Documentation:</strong> ${op.documentation}</div>` : ''}
-                            </div>
-                        </div>
-                    `).join('')}
-                </div>
-            `;
-        }
+        const shallMissing = report.summary.SHALL.total - report.summary.SHALL.passed;
 
-        // Resource-level operations
-        const resourceOps = rest.resource?.filter(r => r.operation?.length > 0) || [];
-        if (resourceOps.length > 0) {
-            operationsHtml += `
-                <h3>Resource-Level Operations</h3>
-                <div class="resource-grid">
-                    ${resourceOps.map(resource => `
+        resultsContainer.innerHTML = `
+            <div class="compare-summary">
+                <div><strong>Reference:</strong> ${this.escapeHtml(report.reference)}</div>
+                <div><strong>Server:</strong> ${this.escapeHtml(report.server || 'Currently loaded statement')}</div>
+            </div>
+
+            <div class="overview-grid">
+                ${['SHALL', 'SHOULD', 'MAY'].map(expectation => `
+                    <div class="overview-card">
+                        <h3>${expectation}</h3>
+                        <p>${report.summary[expectation].passed} of ${report.summary[expectation].total} supported
+                        ${report.summary[expectation].total > 0 ? `(${Math.round(report.summary[expectation].passed / report.summary[expectation].total * 100)}%)` : ''}</p>
+                    </div>
+                `).join('')}
+            </div>
+
+            <p class="${shallMissing === 0 ? 'smart-match' : 'smart-error'} conformance-verdict">
+                ${shallMissing === 0 ? '✓ All SHALL requirements are met.' : `✗ ${shallMissing} SHALL requirement${shallMissing === 1 ? ' is' : 's are'} not met.`}
+            </p>
+
+            <div class="export-actions">
+                <button class="definition-button" data-export="csv">Export CSV</button>
+                <button class="definition-button" data-export="json">Export JSON</button>
+            </div>
+
+            <div class="resource-grid">
+                ${[...byResource].map(([resource, results]) => {
+                    const failed = results.filter(result => result.status === 'missing').length;
+                    return `
                         <div class="resource-card">
                             <div class="resource-header" onclick="this.parentElement.querySelector('.resource-content').classList.toggle('active'); this.querySelector('.toggle').textContent = this.querySelector('.toggle').textContent === '+' ? '−' : '+';">
-                                <h3>${resource.type} Operations</h3>
+                                <h3>${resource === '(system)' ? 'System-Level' : this.escapeHtml(resource)}
+                                    <span class="conformance-count ${failed > 0 ? 'status-missing' : 'status-pass'}">${failed > 0 ? `${failed} SHALL missing` : 'All SHALL met'}</span>
+                                </h3>
                                 <span class="toggle">+</span>
                             </div>
                             <div class="resource-content">
-                                ${resource.operation.map(op => `
-                                    <div style="margin: 1rem 0; padding: 1rem; background: #f8f9fa; border-radius: 8px;">
-                                        <strong>$${op.name}</strong><br>
-                                        <div><strong>Definition:</strong> ${op.definition}</div>
-                                        ${op.documentation ? `<div><strong>Documentation:</strong> ${op.documentation}</div>` : ''}
-                                    </div>
-                                `).join('')}
+                                <table class="definition-table">
+                                    <thead>
+                                        <tr><th>Kind</th><th>Item</th><th>Expectation</th><th>Status</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        ${results.map(result => `
+                                            <tr>
+                                                <td>${kindLabels[result.kind]}</td>
+                                                <td>${this.escapeHtml(result.item)}</td>
+                                                <td>${this.escapeHtml(result.expectation)}</td>
+                                                <td class="status-${result.status}">${statusLabels[result.status]}</td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
                             </div>
                         </div>
-                    `).join('')}
-                </div>
-            `;
-        }
+                    `;
+                }).join('')}
+            </div>
+        `;
 
-        operationsTab.innerHTML = operationsHtml || '<p>No operations found.</p>';
+        resultsContainer.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportConformanceReport(button.dataset.export));
+        });
     }
 
-    renderSearchParameters() {
-        const searchTab = document.getElementById('search-tab');
-        const resources = this.capabilityData.rest?.[0]?.resource || [];
-        
-        const resourcesWithSearch = resources.filter(r => r.searchParam?.length > 0);
-        
-        if (resourcesWithSearch.length === 0) {
-            searchTab.innerHTML = '<p>No search parameters found in this CapabilityStatement.</p>';
+    exportConformanceReport(format) {
+        const report = this.conformanceReport;
+        const baseName = `conformance-${(report.reference || 'report').replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()}`;
+
+        if (format === 'json') {
+            this.downloadFile(`${baseName}.json`, JSON.stringify(report, null, 2), 'application/json');
             return;
         }
 
-        const searchHtml = resourcesWithSearch.map(resource => `
-            <div class="resource-card">
-                <div class="resource-header" onclick="this.parentElement.querySelector('.resource-content').classList.toggle('active'); this.querySelector('.toggle').textContent = this.querySelector('.toggle').textContent === '+' ? '−' : '+';">
-                    <h3>${resource.type} (${resource.searchParam.length} parameters)</h3>
-                    <span class="toggle">+</span>
-                </div>
-                <div class="resource-content">
-                    <div class="search-params">
-                        ${resource.searchParam.map(param => `
-                            <div class="search-param">
-                                <strong>${param.name}</strong> 
-                                <span style="color: #666;">(${param.type})</span>
-                                ${param.documentation ? `<br><small>${param.documentation}</small>` : ''}
-                                ${param.definition ? `<br><small>Definition: ${param.definition}</small>` : ''}
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
-            </div>
-        `).join('');
-
-        searchTab.innerHTML = `
-            <h3>Search Parameters by Resource</h3>
-            <div class="resource-grid">
-                ${searchHtml}
-            </div>
-        `;
+        const rows = [['Resource', 'Kind', 'Item', 'Expectation', 'Status']]
+            .concat(report.results.map(result => [result.resource, result.kind, result.item, result.expectation, result.status]));
+        this.downloadFile(`${baseName}.csv`, this.toCsv(rows), 'text/csv');
     }
 
-    renderSecurity() {
-        const securityTab = document.getElementById('security-tab');
-        const rest = this.capabilityData.rest?.[0];
-        
-        if (!rest?.security) {
-            securityTab.innerHTML = '<p>No security information found in this CapabilityStatement.</p>';
+    exportReport(kind) {
+        if (!this.capabilityData) {
             return;
         }
 
-        const security = rest.security;
-        let securityHtml = '';
-
-        if (security.cors !== undefined) {
-            securityHtml += `<div><strong>CORS:</strong> ${security.cors}</div>`;
+        const baseName = this.getExportBaseName();
+        switch (kind) {
+            case 'markdown':
+                this.downloadFile(`${baseName}.md`, this.reportToMarkdown(this.buildReportSections()), 'text/markdown');
+                break;
+            case 'html':
+                this.downloadFile(`${baseName}.html`, this.reportToHtml(this.buildReportSections()), 'text/html');
+                break;
+            case 'csv-interactions':
+                this.downloadFile(`${baseName}-interactions.csv`, this.toCsv(this.buildInteractionRows()), 'text/csv');
+                break;
+            case 'csv-search':
+                this.downloadFile(`${baseName}-search-parameters.csv`, this.toCsv(this.buildSearchParameterRows()), 'text/csv');
+                break;
+            case 'csv-operations':
+                this.downloadFile(`${baseName}-operations.csv`, this.toCsv(this.buildOperationRows()), 'text/csv');
+                break;
+            case 'print':
+                window.print();
+                break;
         }
+    }
 
-        if (security.service?.length > 0) {
-            securityHtml += `
-                <div style="margin-top: 1rem;">
-                    <strong>Security Services:</strong>
-                    <div class="interaction-list">
-                        ${security.service.map(service => 
-                            `<span class="interaction-tag">${service.coding?.[0]?.display || service.text || 'Unknown'}</span>`
-                        ).join('')}
-                    </div>
-                </div>
-            `;
-        }
+    getExportBaseName() {
+        const name = this.capabilityData.name || this.capabilityData.title || this.capabilityData.id || 'statement';
+        return `capability-${name.replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()}`;
+    }
+
+    describeRestMode(rest, index) {
+        return (this.capabilityData.rest || []).length > 1 ? `${index + 1}: ${rest.mode || 'unspecified'}` : (rest.mode || '');
+    }
+
+    buildInteractionRows() {
+        const restEntries = this.capabilityData.rest || [];
+        const codes = [...new Set(restEntries.flatMap(rest =>
+            (rest.resource || []).flatMap(resource => resource.interaction?.map(i => i.code) || [])
+        ))];
+
+        const rows = [['Endpoint', 'Resource', ...codes]];
+        restEntries.forEach((rest, index) => {
+            rest.resource?.forEach(resource => {
+                const supported = new Set(resource.interaction?.map(i => i.code) || []);
+                rows.push([this.describeRestMode(rest, index), resource.type, ...codes.map(code => supported.has(code) ? 'Y' : '')]);
+            });
+        });
+        return rows;
+    }
+
+    buildSearchParameterRows() {
+        const rows = [['Endpoint', 'Resource', 'Parameter', 'Type', 'Definition', 'Documentation']];
+        (this.capabilityData.rest || []).forEach((rest, index) => {
+            rest.resource?.forEach(resource => {
+                resource.searchParam?.forEach(param => {
+                    rows.push([this.describeRestMode(rest, index), resource.type, param.name, param.type, param.definition, param.documentation]);
+                });
+            });
+        });
+        return rows;
+    }
+
+    buildOperationRows() {
+        const rows = [['Endpoint', 'Scope', 'Operation', 'Definition', 'Documentation']];
+        (this.capabilityData.rest || []).forEach((rest, index) => {
+            const mode = this.describeRestMode(rest, index);
+            rest.operation?.forEach(op => rows.push([mode, 'system', `$${op.name}`, op.definition, op.documentation]));
+            rest.resource?.forEach(resource => {
+                resource.operation?.forEach(op => rows.push([mode, resource.type, `$${op.name}`, op.definition, op.documentation]));
+            });
+        });
+        return rows;
+    }
 
-        if (security.description) {
-            securityHtml += `<div style="margin-top: 1rem;"><strong>Description:</strong> ${security.description}</div>`;
+    // Report sections are plain data so Markdown and HTML render the same content
+    buildReportSections() {
+        const data = this.capabilityData;
+        const sections = [{
+            level: 1,
+            title: data.title || data.name || 'CapabilityStatement',
+            fields: [
+                ['Name', data.name],
+                ['URL', data.url],
+                ['Version', data.version],
+                ['FHIR Version', `${data.fhirVersion} (${this.fhirRelease})`],
+                ['Status', data.status],
+                ['Date', data.date],
+                ['Publisher', data.publisher],
+                ['Kind', data.kind],
+                ['Software', [data.software?.name, data.software?.version].filter(Boolean).join(' ')],
+                ['Software Release Date', data.software?.releaseDate],
+                ['Implementation', [data.implementation?.description, data.implementation?.url].filter(Boolean).join(' - ')],
+                ['Formats', data.format?.join(', ')],
+                ['Patch Formats', data.patchFormat?.join(', ')],
+                ['Accept Languages', data.acceptLanguage?.join(', ')],
+                ['Jurisdiction', data.jurisdiction?.map(jurisdiction => this.describeCodeableConcept(jurisdiction)).join(', ')],
+                ['Implementation Guides', data.implementationGuide?.join(', ')],
+                ['Instantiates', data.instantiates?.join(', ')],
+                ['Imports', data.imports?.join(', ')],
+                ['Copyright', data.copyright],
+                ['REST Endpoints', this.summarizeRestEndpoints(data.rest)],
+                ['Source', this.currentSource?.url || this.currentSource?.label]
+            ],
+            text: data.description
+        }];
+
+        if (data.contact?.length > 0) {
+            sections.push({
+                level: 2,
+                title: 'Contact Information',
+                items: data.contact.flatMap(contact => [
+                    ...(contact.name ? [contact.name] : []),
+                    ...(contact.telecom || []).filter(t => t.value).map(t => `${t.system || 'contact'}: ${t.value}${t.use ? ` (${t.use})` : ''}`)
+                ])
+            });
         }
 
-        securityTab.innerHTML = securityHtml || '<p>No detailed security information available.</p>';
+        (data.rest || []).forEach((rest, index) => {
+            const security = rest.security;
+            const oauthUris = FHIRCapabilityCore.getOAuthUris(security);
+
+            sections.push({
+                level: 2,
+                title: `REST Endpoint ${index + 1} (${rest.mode || 'mode not specified'})`,
+                fields: [
+                    ['System Interactions', rest.interaction?.map(i => i.code).join(', ') || 'None specified'],
+                    ['Compartments', rest.compartment?.join(', ')],
+                    ['Server-Wide Search Parameters', rest.searchParam?.map(p => `${p.name} (${p.type})`).join(', ')]
+                ],
+                text: rest.documentation
+            });
+
+            sections.push({
+                level: 3,
+                title: 'Security',
+                fields: [
+                    ['CORS', security?.cors !== undefined ? String(security.cors) : undefined],
+                    ['Services', security?.service?.map(service =>
+                        service.coding?.map(coding => coding.display || coding.code).join(', ') || service.text
+                    ).join(', ')],
+                    ...SMART_ENDPOINTS.map(endpoint => [`SMART ${endpoint.label}`, oauthUris?.[endpoint.extension]])
+                ],
+                text: security?.description || (security ? undefined : 'No security information declared.')
+            });
+
+            const resources = rest.resource || [];
+            if (resources.length > 0) {
+                sections.push({
+                    level: 3,
+                    title: `Resources (${resources.length})`,
+                    table: {
+                        headers: ['Resource', 'Profile', 'Interactions', 'Search Parameters', 'Operations'],
+                        rows: resources.map(resource => [
+                            resource.type,
+                            [resource.profile, ...(resource.supportedProfile || [])].filter(Boolean).join(', '),
+                            resource.interaction?.map(i => i.code).join(', '),
+                            resource.searchParam?.map(p => `${p.name} (${p.type})`).join(', '),
+                            resource.operation?.map(op => `$${op.name}`).join(', ')
+                        ])
+                    }
+                });
+            }
+
+            const operationRows = this.buildOperationRows().slice(1)
+                .filter(row => row[0] === this.describeRestMode(rest, index))
+                .map(row => row.slice(1));
+            if (operationRows.length > 0) {
+                sections.push({
+                    level: 3,
+                    title: 'Operations',
+                    table: { headers: ['Scope', 'Operation', 'Definition', 'Documentation'], rows: operationRows }
+                });
+            }
+        });
+
+        return sections;
     }
 
-    renderRawData() {
-        const rawTab = document.getElementById('raw-tab');
-        rawTab.innerHTML = `
-            <h3>Raw CapabilityStatement JSON</h3>
-            <div class="json-container">
-                <pre>${JSON.stringify(this.capabilityData, null, 2)}</pre>
-            </div>
-        `;
+    reportToMarkdown(sections) {
+        // Server values become one line of literal text: Markdown and HTML syntax is escaped, and
+        // so is a leading list marker. Only section.text, which is FHIR markdown, is kept as is.
+        const inline = value => String(value ?? '')
+            .replace(/\s*[\r\n]+\s*/g, ' ')
+            .replace(/[\\`*_[\]<>|~#&]/g, '\\$&')
+            .replace(/^(\d+)([.)])/, '$1\\$2')
+            .replace(/^([-+])/, '\\$1');
+
+        return sections.map(section => {
+            const lines = [`${'#'.repeat(section.level)} ${inline(section.title)}`, ''];
+            const fields = (section.fields || []).filter(([, value]) => value);
+            if (fields.length > 0) {
+                lines.push(...fields.map(([label, value]) => `- **${inline(label)}:** ${inline(value)}`), '');
+            }
+            if (section.text) {
+                lines.push(section.text, '');
+            }
+            if (section.items?.length > 0) {
+                lines.push(...section.items.map(item => `- ${inline(item)}`), '');
+            }
+            if (section.table) {
+                lines.push(
+                    `| ${section.table.headers.join(' | ')} |`,
+                    `| ${section.table.headers.map(() => '---').join(' | ')} |`,
+                    ...section.table.rows.map(row => `| ${row.map(inline).join(' | ')} |`),
+                    ''
+                );
+            }
+            return lines.join('\n');
+        }).join('\n');
+    }
+
+    reportToHtml(sections) {
+        const escape = value => this.escapeHtml(value ?? '');
+
+        const body = sections.map(section => {
+            const fields = (section.fields || []).filter(([, value]) => value);
+            return [
+                `<h${section.level}>${escape(section.title)}</h${section.level}>`,
+                fields.length > 0 ? `<dl>${fields.map(([label, value]) => `<dt>${escape(label)}</dt><dd>${escape(value)}</dd>`).join('')}</dl>` : '',
+                section.text ? `<p>${escape(section.text)}</p>` : '',
+                section.items?.length > 0 ? `<ul>${section.items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>` : '',
+                section.table ? `<table>
+<thead><tr>${section.table.headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${section.table.rows.map(row => `<tr>${row.map(value => `<td>${escape(value)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>` : ''
+            ].filter(Boolean).join('\n');
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(sections[0].title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1 { color: #04A454; }
+h2 { border-bottom: 2px solid #e1e8ed; padding-bottom: 0.25rem; margin-top: 2rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+dt { font-weight: 600; }
+dd { margin: 0; word-break: break-word; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border: 1px solid #e1e8ed; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; word-break: break-word; }
+th { background: #f8f9fa; }
+</style>
+</head>
+<body>
+${body}
+<p><small>Generated ${escape(new Date().toISOString())} by the FHIR CapabilityStatement Viewer</small></p>
+</body>
+</html>
+`;
+    }
+
+    toCsv(rows) {
+        return rows.map(row => row.map(cell => {
+            let value = cell === undefined || cell === null ? '' : String(cell);
+            // Spreadsheets run server-supplied text starting with these characters as a formula
+            if (typeof cell !== 'number' && /^[=+\-@\t\r]/.test(value)) {
+                value = `'${value}`;
+            }
+            return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        }).join(',')).join('\n');
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const link = document.createElement('a');
+        const objectUrl = URL.createObjectURL(blob);
+        link.href = objectUrl;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking straight after click() cancels the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
     }
 
     switchTab(tabName) {
@@ -567,7 +4831,7 @@ class FHIRCapabilityViewer {
     }
 
     loadStaticDemoData() {
-        // Fallback static demo data if needed
+        // Bundled demo data so the viewer can be tried without network access
         const demoData = {
             "resourceType": "CapabilityStatement",
             "id": "demo",
@@ -771,36 +5035,207 @@ class FHIRCapabilityViewer {
         this.hideLoading();
         
         // Set demo data and display
-        this.capabilityData = demoData;
-        this.displayCapabilityStatement();
+        this.setCapabilityStatement(demoData, { type: 'demo', label: 'Offline demo data' });
+    }
+
+    getViewState() {
+        return {
+            tab: document.querySelector('.tab-button.active')?.dataset.tab || 'resources',
+            expanded: [...document.querySelectorAll('#resources-tab .resource-card')]
+                .filter(card => card.querySelector('.resource-content.active'))
+                .map(card => card.dataset.resourceType),
+            filter: {
+                text: document.getElementById('filter-input').value.trim(),
+                interaction: document.getElementById('filter-interaction').value,
+                paramType: document.getElementById('filter-param-type').value,
+                hasOperations: document.getElementById('filter-has-operations').checked
+            },
+            rest: this.selectedRestIndex
+        };
+    }
+
+    readViewState(urlParams) {
+        return {
+            tab: urlParams.get('tab') || 'resources',
+            expanded: (urlParams.get('open') || '').split(',').filter(Boolean),
+            filter: {
+                text: urlParams.get('filter') || '',
+                interaction: urlParams.get('interaction') || '',
+                paramType: urlParams.get('paramType') || '',
+                hasOperations: urlParams.get('hasOperations') === 'true'
+            },
+            rest: parseInt(urlParams.get('rest'), 10) || 0
+        };
+    }
+
+    // Only non-default values are written so simple links stay short
+    buildViewParams(view) {
+        const urlParams = new URLSearchParams();
+        if (this.currentSource?.url) {
+            urlParams.set('url', this.currentSource.url);
+            if (this.getRequestFormat() !== 'json') {
+                urlParams.set('format', this.getRequestFormat());
+            }
+        }
+        if (view.rest > 0) {
+            urlParams.set('rest', String(view.rest));
+        }
+        if (view.tab !== 'resources') {
+            urlParams.set('tab', view.tab);
+        }
+        if (view.expanded.length > 0) {
+            urlParams.set('open', view.expanded.join(','));
+        }
+        if (view.filter.text) {
+            urlParams.set('filter', view.filter.text);
+        }
+        if (view.filter.interaction) {
+            urlParams.set('interaction', view.filter.interaction);
+        }
+        if (view.filter.paramType) {
+            urlParams.set('paramType', view.filter.paramType);
+        }
+        if (view.filter.hasOperations) {
+            urlParams.set('hasOperations', 'true');
+        }
+        return urlParams;
+    }
+
+    recordViewState(push) {
+        if (this.restoringView || !this.capabilityData) {
+            return;
+        }
+
+        const query = this.buildViewParams(this.getViewState()).toString();
+        const search = query ? `?${query}` : '';
+        if (search === window.location.search && window.history.state?.viewer) {
+            return;
+        }
+        window.history[push ? 'pushState' : 'replaceState']({ viewer: true }, '', `${window.location.pathname}${search}`);
+    }
+
+    applyViewState(view) {
+        this.restoringView = true;
+        try {
+            if (view.rest !== this.selectedRestIndex && this.capabilityData.rest?.[view.rest]) {
+                this.selectRestEndpoint(view.rest);
+            }
+
+            // Facet values the endpoint does not offer fall back to "any" when the selects are refilled
+            document.getElementById('filter-input').value = view.filter.text;
+            document.getElementById('filter-interaction').value = view.filter.interaction;
+            document.getElementById('filter-param-type').value = view.filter.paramType;
+            document.getElementById('filter-has-operations').checked = view.filter.hasOperations;
+            this.updateFilter();
+
+            const tabButton = [...document.querySelectorAll('.tab-button')]
+                .find(button => button.dataset.tab === view.tab && button.style.display !== 'none');
+            this.switchTab(tabButton ? view.tab : 'resources');
+
+            const expanded = new Set(view.expanded);
+            document.querySelectorAll('#resources-tab .resource-card').forEach(card => {
+                const isOpen = expanded.has(card.dataset.resourceType);
+                card.querySelector('.resource-content').classList.toggle('active', isOpen);
+                card.querySelector('.resource-header .toggle').textContent = isOpen ? '−' : '+';
+            });
+        } finally {
+            this.restoringView = false;
+        }
+        this.recordViewState(false);
+    }
+
+    isCurrentSourceUrl(url) {
+        return Boolean(url) && (this.currentSource?.url === url || this.currentSource?.discoveredFrom === url);
+    }
+
+    restoreViewFromLocation() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const fhirUrl = urlParams.get('url');
+        const view = this.readViewState(urlParams);
+
+        // An entry for another statement reloads it; entries for local files can only restore the view
+        if (fhirUrl && !this.isCurrentSourceUrl(fhirUrl)) {
+            document.getElementById('fhir-url').value = fhirUrl;
+            document.getElementById('request-format').value = urlParams.get('format') === 'xml' ? 'xml' : 'json';
+            this.restoringView = true;
+            this.loadCapabilityStatement().then(() => {
+                this.restoringView = false;
+                if (this.isCurrentSourceUrl(fhirUrl)) {
+                    this.applyViewState(view);
+                }
+            });
+        } else if (this.capabilityData) {
+            this.applyViewState(view);
+        }
     }
 
     checkUrlParameters() {
         // Check if there's a 'url' parameter in the current page URL
         const urlParams = new URLSearchParams(window.location.search);
         const fhirUrl = urlParams.get('url');
+        const compareA = urlParams.get('compareA');
+        const compareB = urlParams.get('compareB');
+        const format = urlParams.get('format');
+
+        if (format === 'xml') {
+            document.getElementById('request-format').value = 'xml';
+        }
         
         if (fhirUrl) {
-            // Decode the URL and set it in the input field
-            const decodedUrl = decodeURIComponent(fhirUrl);
-            document.getElementById('fhir-url').value = decodedUrl;
+            // URLSearchParams has already decoded the value; decoding again would break a literal %
+            document.getElementById('fhir-url').value = fhirUrl;
+
+            // Prefill the comparison sources so the diff can run once the statement is loaded
+            if (compareB) {
+                if (compareA) {
+                    document.getElementById('compare-a-type').value = 'url';
+                    document.getElementById('compare-a-url').value = compareA;
+                    this.updateSourceInputs(document.getElementById('compare-a-type'));
+                }
+                document.getElementById('compare-b-type').value = 'url';
+                document.getElementById('compare-b-url').value = compareB;
+                this.updateSourceInputs(document.getElementById('compare-b-type'));
+            }
             
-            // Automatically load the CapabilityStatement
-            this.loadCapabilityStatement();
+            // Automatically load the CapabilityStatement, then restore the linked view
+            this.restoringView = true;
+            this.loadCapabilityStatement().then(() => {
+                this.restoringView = false;
+                if (!this.capabilityData || !this.isCurrentSourceUrl(fhirUrl)) {
+                    return;
+                }
+                this.applyViewState(this.readViewState(urlParams));
+                if (compareB) {
+                    this.switchTab('compare');
+                    this.runComparison();
+                }
+            });
         }
     }
 
     generatePermalink() {
-        const currentUrl = document.getElementById('fhir-url').value.trim();
+        const currentUrl = this.currentSource?.url;
         
         if (!currentUrl) {
-            alert('No FHIR URL is currently loaded. Please load a CapabilityStatement first.');
+            alert(this.currentSource
+                ? 'Permalinks can only be created for CapabilityStatements loaded from a URL. Local files, pasted JSON and the offline demo cannot be linked.'
+                : 'No FHIR URL is currently loaded. Please load a CapabilityStatement first.');
             return;
         }
 
-        // Create a permalink with the current FHIR URL as a parameter
+        // Create a permalink with the current FHIR URL and the view (tab, open cards, filter, endpoint).
+        // Tokens and custom headers are deliberately never part of the link.
         const baseUrl = window.location.origin + window.location.pathname;
-        const permalink = `${baseUrl}?url=${encodeURIComponent(currentUrl)}`;
+        const urlParams = this.buildViewParams(this.getViewState());
+
+        // Carry the comparison along when both sides can be reloaded from a URL
+        if (this.comparison && this.comparison.b.url && (this.comparison.a.type === 'current' || this.comparison.a.url)) {
+            if (this.comparison.a.type !== 'current') {
+                urlParams.set('compareA', this.comparison.a.url);
+            }
+            urlParams.set('compareB', this.comparison.b.url);
+        }
+        const permalink = `${baseUrl}?${urlParams}`;
         
         // Copy to clipboard
         navigator.clipboard.writeText(permalink).then(() => {
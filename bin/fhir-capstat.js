@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Command-line summary and validity check for FHIR CapabilityStatements.
+ *
+ * Usage:
+ *   node bin/fhir-capstat.js https://hapi.fhir.org/baseR4/metadata
+ *   node bin/fhir-capstat.js https://hapi.fhir.org/baseR4   (base URLs fall back to <base>/metadata)
+ *   node bin/fhir-capstat.js capability.json --json
+ *   node bin/fhir-capstat.js https://ehr.example.org/fhir/metadata --token <access token> --header "Epic-Client-ID: 123"
+ *
+ * Exit codes: 0 valid statement, 1 input is not a valid CapabilityStatement,
+ * 2 usage error or the input could not be read or fetched.
+ *
+ * Requires Node 18 or later (global fetch). XML input needs @xmldom/xmldom (npm install).
+ */
+
+const fs = require('fs');
+const core = require('../lib/capability-core');
+
+const USAGE = `Usage: fhir-capstat <url-or-file> [options]
+
+Options:
+  --json              Print the summary as JSON instead of text
+  --xml               Request XML from the server (_format=xml)
+  --token <token>     Send an Authorization: Bearer header
+  --header "Name: v"  Send an extra request header (repeatable)
+  -h, --help          Show this help`;
+
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseArguments(args) {
+    const options = { input: null, json: false, format: null, headers: {} };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const takeValue = () => {
+            if (i + 1 >= args.length) {
+                throw new UsageError(`${arg} needs a value`);
+            }
+            return args[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--xml') {
+            options.format = 'xml';
+        } else if (arg === '--token') {
+            options.headers['Authorization'] = `Bearer ${takeValue().replace(/^Bearer\s+/i, '')}`;
+        } else if (arg === '--header') {
+            const header = takeValue();
+            const separator = header.indexOf(':');
+            if (separator < 1) {
+                throw new UsageError(`--header expects "Name: value", got "${header}"`);
+            }
+            options.headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else if (options.input) {
+            throw new UsageError('Only one URL or file can be checked at a time');
+        } else {
+            options.input = arg;
+        }
+    }
+
+    if (!options.input && !options.help) {
+        throw new UsageError('A URL or file is required');
+    }
+    return options;
+}
+
+// XML support is optional so JSON-only use works without installing anything
+function loadXmlSupport() {
+    try {
+        const xmldom = require('@xmldom/xmldom');
+        return {
+            // Fatal errors still throw; recoverable ones are ignored like the browser does
+            DOMParser: class extends xmldom.DOMParser {
+                constructor() {
+                    super({ onError: () => {} });
+                }
+            },
+            XMLSerializer: xmldom.XMLSerializer
+        };
+    } catch (error) {
+        return {};
+    }
+}
+
+async function readInput(options, xmlSupport) {
+    if (/^https?:\/\//i.test(options.input)) {
+        const accept = options.format === 'xml'
+            ? 'application/fhir+xml, application/xml'
+            : 'application/fhir+json, application/json';
+        const { data, discoveredUrl } = await core.fetchCapabilityStatement(options.input, {
+            format: options.format,
+            headers: { 'Accept': accept, ...options.headers },
+            // No proxy is configured: there is no CORS in Node, so a failed direct request is final
+            ...xmlSupport
+        });
+        if (discoveredUrl) {
+            // stderr, so --json output stays parseable
+            console.error(`${options.input} is not a CapabilityStatement URL; using ${discoveredUrl}`);
+        }
+        return data;
+    }
+
+    return core.parseFhirResourceText(fs.readFileSync(options.input, 'utf8'), xmlSupport);
+}
+
+async function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let data;
+    try {
+        data = await readInput(options, loadXmlSupport());
+    } catch (error) {
+        console.error(`Unable to load ${options.input}: ${error.message}`);
+        // Unparseable content is invalid input; network and file errors are not
+        return /^(Invalid (JSON|XML|response)|The server returned an HTML page)/.test(error.message) ? EXIT_INVALID : EXIT_USAGE;
+    }
+
+    const { errors, warnings } = core.validateCapabilityStatement(data);
+    if (errors.length > 0) {
+        if (options.json) {
+            console.log(JSON.stringify({ valid: false, errors, warnings }, null, 2));
+        } else {
+            console.error(`${options.input} is not a valid FHIR CapabilityStatement:`);
+            errors.forEach(error => console.error(`  ✗ ${error}`));
+        }
+        return EXIT_INVALID;
+    }
+
+    const summary = core.summarizeCapabilityStatement(data);
+    if (options.json) {
+        console.log(JSON.stringify({ valid: true, warnings, summary }, null, 2));
+    } else {
+        console.log(core.formatSummaryText(summary));
+        if (warnings.length > 0) {
+            console.log(`\nWarnings:\n${warnings.map(warning => `  ! ${warning}`).join('\n')}`);
+        }
+    }
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
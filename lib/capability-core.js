@@ -0,0 +1,747 @@
+/**
+ * UI-independent core of the FHIR CapabilityStatement Viewer: fetching, parsing
+ * (JSON and XML), validation, version normalization and summaries.
+ *
+ * The browser page loads this file with a <script> tag and uses the
+ * FHIRCapabilityCore global; Node loads it with require() (see bin/fhir-capstat.js).
+ * Nothing in here touches the DOM of the page.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FHIRCapabilityCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // FHIR XML does not mark which elements repeat, so these element names always
+    // become JSON arrays. "parent.child" entries only apply under that parent.
+    const FHIR_XML_ARRAY_ELEMENTS = new Set([
+        'extension', 'modifierExtension', 'identifier', 'contact', 'telecom', 'useContext',
+        'jurisdiction', 'coding', 'instantiates', 'imports', 'format', 'patchFormat',
+        'acceptLanguage', 'implementationGuide', 'rest', 'resource', 'interaction',
+        'searchParam', 'operation', 'compartment', 'service', 'supportedProfile',
+        'referencePolicy', 'searchInclude', 'searchRevInclude', 'messaging', 'endpoint',
+        'supportedMessage', 'event', 'document', 'contained', 'given', 'prefix', 'suffix',
+        'line', 'Conformance.profile', 'meta.profile', 'meta.security', 'meta.tag',
+        // TerminologyCapabilities
+        'codeSystem', 'codeSystem.version', 'version.language', 'version.filter', 'filter.op',
+        'version.property', 'expansion.parameter'
+    ]);
+
+    // Primitive elements whose XML value attribute maps to a JSON boolean or number
+    const FHIR_XML_BOOLEAN_ELEMENTS = new Set([
+        'experimental', 'cors', 'readHistory', 'updateCreate', 'conditionalCreate',
+        'conditionalUpdate', 'conditionalPatch', 'lockedDate', 'valueBoolean',
+        // TerminologyCapabilities (closure.translation; the top-level translation is complex)
+        'isDefault', 'compositional', 'subsumption', 'hierarchical', 'paging', 'incomplete',
+        'translations', 'needsMap', 'translation'
+    ]);
+    const FHIR_XML_NUMBER_ELEMENTS = new Set([
+        'reliableCache', 'valueInteger', 'valueUnsignedInt', 'valuePositiveInt', 'valueDecimal'
+    ]);
+
+    const FHIR_XML_NAMESPACE = 'http://hl7.org/fhir';
+    const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+    const SMART_OAUTH_URIS_EXTENSION = 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris';
+
+    // Resources a server may return from /metadata
+    const METADATA_RESOURCE_TYPES = ['CapabilityStatement', 'Conformance', 'TerminologyCapabilities'];
+
+    const HTML_PAGE_MESSAGE = 'The server returned an HTML page instead of a FHIR resource. This might indicate the URL is incorrect or the server is not responding properly.';
+
+    // Fetching
+
+    function buildMetadataRequestUrl(url, format) {
+        if (!format) {
+            return url;
+        }
+        return `${url}${url.includes('?') ? '&' : '?'}_format=${format}`;
+    }
+
+    // buildProxyUrl(requestUrl) returns the proxied URL, or null when no proxy is configured.
+    // With returnHttpErrors, any direct response (including 4xx/5xx and HTML) is returned with
+    // its status, and only a network or CORS failure (a TypeError from fetch) tries the proxy.
+    async function fetchText(requestUrl, headers, { allowProxy = true, buildProxyUrl = () => null, returnHttpErrors = false } = {}) {
+        // Try multiple approaches to handle CORS
+        let response;
+
+        // First, try direct fetch
+        try {
+            response = await fetch(requestUrl, {
+                method: 'GET',
+                mode: 'cors',
+                headers
+            });
+
+            if (returnHttpErrors) {
+                return { text: await response.text(), via: { type: 'direct' }, status: response.status };
+            }
+
+            if (!response.ok) {
+                const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                httpError.status = response.status;
+                throw httpError;
+            }
+
+            const responseText = await response.text();
+            // Parse errors from the direct response also fall through to the proxy
+            if (isHtmlPage(responseText)) {
+                const htmlError = new Error('HTML response');
+                htmlError.htmlPage = true;
+                throw htmlError;
+            }
+            return { text: responseText, via: { type: 'direct' } };
+        } catch (corsError) {
+            // The server answered; its error body is the result and must not go to a third party
+            if (returnHttpErrors && corsError.name !== 'TypeError') {
+                throw corsError;
+            }
+
+            // The proxy cannot help with authorization failures
+            if (corsError.status === 401 || corsError.status === 403) {
+                throw corsError;
+            }
+            // With no proxy to try, the HTML page (usually a login or error page) is the answer
+            if (corsError.htmlPage && (!allowProxy || !buildProxyUrl(requestUrl))) {
+                throw new Error(HTML_PAGE_MESSAGE);
+            }
+
+            // Only a network or CORS failure (not an HTTP error or an HTML page) leaves the server unreached
+            const networkFailure = corsError.name === 'TypeError';
+            if (!allowProxy) {
+                const directError = new Error(`Authenticated request failed: ${corsError.message}`);
+                directError.authenticated = true;
+                directError.networkFailure = networkFailure;
+                throw directError;
+            }
+
+            // If direct fetch fails due to CORS, try the configured CORS proxy
+            const proxiedUrl = buildProxyUrl(requestUrl);
+            if (!proxiedUrl) {
+                const directError = new Error(`Direct request failed: ${corsError.message}`);
+                directError.proxyDisabled = true;
+                directError.networkFailure = networkFailure;
+                throw directError;
+            }
+
+            console.log('Direct fetch failed, trying CORS proxy...', corsError);
+
+            response = await fetch(proxiedUrl, {
+                method: 'GET',
+                headers: {
+                    'Accept': headers['Accept']
+                }
+            });
+
+            if (!response.ok) {
+                const proxyError = new Error(`Proxy request failed: HTTP ${response.status}: ${response.statusText}`);
+                proxyError.networkFailure = networkFailure;
+                throw proxyError;
+            }
+
+            return { text: await response.text(), via: { type: 'proxy', host: new URL(proxiedUrl).host } };
+        }
+    }
+
+    // True when the server could not be reached at all (as opposed to answering with an error),
+    // which is when a stored copy may stand in for it
+    function isNetworkFailure(error) {
+        return error?.name === 'TypeError' || error?.networkFailure === true;
+    }
+
+    function isMetadataUrl(url) {
+        try {
+            return /\/metadata\/?$/.test(new URL(url).pathname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // <base>/metadata, optionally with ?mode=terminology; works for base and /metadata URLs alike
+    function buildMetadataUrl(url, mode) {
+        const parsed = new URL(url);
+        const basePath = parsed.pathname.replace(/\/+$/, '').replace(/\/metadata$/, '');
+        return `${parsed.origin}${basePath}/metadata${mode ? `?mode=${encodeURIComponent(mode)}` : ''}`;
+    }
+
+    // options: { format, headers, allowProxy, buildProxyUrl, discover, DOMParser, XMLSerializer }
+    // A URL that is not a /metadata URL (usually a pasted base URL) and does not return a
+    // CapabilityStatement is retried as <base>/metadata unless discover is false. The result
+    // then has discoveredUrl set; discoveryTried is set when that retry failed as well, unless
+    // /metadata answered with an HTTP status such as 401, whose error is thrown instead.
+    async function fetchCapabilityStatement(url, options = {}) {
+        const fetchMetadata = async requestUrl => {
+            const { text, via } = await fetchText(buildMetadataRequestUrl(requestUrl, options.format), options.headers || {}, options);
+            return { ...parseResponseText(text, options), via };
+        };
+
+        if (options.discover === false || isMetadataUrl(url)) {
+            return fetchMetadata(url);
+        }
+
+        let result = null;
+        let firstError = null;
+        try {
+            result = await fetchMetadata(url);
+            if (METADATA_RESOURCE_TYPES.includes(result.data?.resourceType)) {
+                return result;
+            }
+        } catch (error) {
+            // /metadata on the same server would be refused the same way
+            if (error.status === 401 || error.status === 403) {
+                throw error;
+            }
+            firstError = error;
+        }
+
+        const metadataUrl = buildMetadataUrl(url);
+        try {
+            return { ...await fetchMetadata(metadataUrl), discoveredUrl: metadataUrl };
+        } catch (metadataError) {
+            // /metadata exists but refused us (401/403): that is the answer, not the base URL's error
+            if (metadataError.status) {
+                throw metadataError;
+            }
+            if (firstError) {
+                firstError.discoveryTried = metadataUrl;
+                throw firstError;
+            }
+            return { ...result, discoveryTried: metadataUrl };
+        }
+    }
+
+    // Parsing
+
+    function isHtmlPage(text) {
+        return /^\s*(<!DOCTYPE html|<html)/i.test(text);
+    }
+
+    function detectContentFormat(text) {
+        return text.trimStart().startsWith('<') ? 'xml' : 'json';
+    }
+
+    // XML needs a DOMParser: the browser's, or one passed in options (e.g. @xmldom/xmldom in Node)
+    function parseFhirResourceText(text, options = {}) {
+        if (detectContentFormat(text) === 'xml') {
+            return xmlToFhirJson(text, options);
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (parseError) {
+            throw new Error(`Invalid JSON: ${parseError.message}`);
+        }
+    }
+
+    function parseResponseText(responseText, options = {}) {
+        // The response might be an HTML error or login page
+        if (isHtmlPage(responseText)) {
+            throw new Error(HTML_PAGE_MESSAGE);
+        }
+
+        try {
+            return {
+                data: parseFhirResourceText(responseText, options),
+                format: detectContentFormat(responseText)
+            };
+        } catch (parseError) {
+            throw new Error(`Invalid response from server: ${parseError.message}`);
+        }
+    }
+
+    function xmlToFhirJson(xmlText, options = {}) {
+        const Parser = options.DOMParser || (typeof DOMParser !== 'undefined' ? DOMParser : null);
+        const Serializer = options.XMLSerializer || (typeof XMLSerializer !== 'undefined' ? XMLSerializer : null);
+        if (!Parser) {
+            throw new Error('XML input needs a DOMParser (in Node, install @xmldom/xmldom)');
+        }
+
+        let xmlDoc;
+        try {
+            xmlDoc = new Parser().parseFromString(xmlText, 'application/xml');
+        } catch (parseError) {
+            // Parsers outside the browser throw instead of returning a parsererror document
+            throw new Error(`Invalid XML: ${parseError.message.split('\n')[0]}`);
+        }
+        const parserError = xmlDoc.getElementsByTagName('parsererror')[0];
+
+        if (parserError) {
+            throw new Error(`Invalid XML: ${parserError.textContent.trim().split('\n')[0]}`);
+        }
+
+        return xmlResourceToJson(xmlDoc.documentElement, Serializer);
+    }
+
+    function xmlResourceToJson(element, Serializer) {
+        return {
+            resourceType: element.localName,
+            ...xmlChildrenToJson(element, Serializer)
+        };
+    }
+
+    function xmlChildrenToJson(element, Serializer) {
+        const json = {};
+        const childElements = Array.from(element.children);
+
+        // Group repeated elements first so primitive arrays and their "_name" companions stay aligned
+        const groups = new Map();
+        childElements.forEach(child => {
+            if (!groups.has(child.localName)) {
+                groups.set(child.localName, []);
+            }
+            groups.get(child.localName).push(child);
+        });
+
+        groups.forEach((elements, name) => {
+            if (name === 'div' && elements[0].namespaceURI === XHTML_NAMESPACE && Serializer) {
+                json.div = new Serializer().serializeToString(elements[0]);
+                return;
+            }
+
+            const values = [];
+            const primitiveExtras = [];
+            elements.forEach(child => {
+                if (child.hasAttribute('value')) {
+                    values.push(xmlPrimitiveValue(name, child.getAttribute('value')));
+                    primitiveExtras.push(xmlPrimitiveExtras(child, Serializer));
+                } else {
+                    values.push(xmlComplexToJson(child, Serializer));
+                    primitiveExtras.push(null);
+                }
+            });
+
+            const isArray = elements.length > 1 ||
+                FHIR_XML_ARRAY_ELEMENTS.has(name) ||
+                FHIR_XML_ARRAY_ELEMENTS.has(`${element.localName}.${name}`);
+
+            json[name] = isArray ? values : values[0];
+            if (primitiveExtras.some(extra => extra)) {
+                json[`_${name}`] = isArray ? primitiveExtras : primitiveExtras[0];
+            }
+        });
+
+        return json;
+    }
+
+    function xmlPrimitiveValue(name, value) {
+        if (FHIR_XML_BOOLEAN_ELEMENTS.has(name)) {
+            return value === 'true';
+        }
+        if (FHIR_XML_NUMBER_ELEMENTS.has(name)) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    function xmlPrimitiveExtras(element, Serializer) {
+        // Primitive ids and extensions live in a "_name" sibling property in FHIR JSON
+        const extras = xmlChildrenToJson(element, Serializer);
+        if (element.hasAttribute('id')) {
+            extras.id = element.getAttribute('id');
+        }
+        return Object.keys(extras).length > 0 ? extras : null;
+    }
+
+    function xmlComplexToJson(element, Serializer) {
+        const childElements = Array.from(element.children);
+
+        // Wrapped resources, e.g. <contained><Patient>...</Patient></contained>
+        if (childElements.length === 1 && childElements[0].namespaceURI === FHIR_XML_NAMESPACE &&
+            /^[A-Z]/.test(childElements[0].localName) && element.attributes.length === 0) {
+            return xmlResourceToJson(childElements[0], Serializer);
+        }
+
+        const json = {};
+        if (element.hasAttribute('id')) {
+            json.id = element.getAttribute('id');
+        }
+        if (element.hasAttribute('url')) {
+            json.url = element.getAttribute('url');
+        }
+        return { ...json, ...xmlChildrenToJson(element, Serializer) };
+    }
+
+    function fhirJsonToXml(resource) {
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${jsonResourceToXml(resource, '', true)}`;
+    }
+
+    function jsonResourceToXml(resource, indent, isRoot = false) {
+        const namespace = isRoot ? ` xmlns="${FHIR_XML_NAMESPACE}"` : '';
+        return `${indent}<${resource.resourceType}${namespace}>\n` +
+            jsonPropertiesToXml(resource, `${indent}  `) +
+            `${indent}</${resource.resourceType}>\n`;
+    }
+
+    function jsonPropertiesToXml(json, indent, attributeKeys = []) {
+        let xml = '';
+
+        Object.keys(json).forEach(key => {
+            // Attributes (element id, extension url) are written on the opening tag by the caller
+            if (key === 'resourceType' || attributeKeys.includes(key)) {
+                return;
+            }
+            // "_name" companions are written alongside their primitive, unless the primitive itself is absent
+            if (key.startsWith('_') && Object.prototype.hasOwnProperty.call(json, key.slice(1))) {
+                return;
+            }
+
+            const name = key.startsWith('_') ? key.slice(1) : key;
+            const value = key.startsWith('_') ? undefined : json[key];
+            const extras = json[`_${name}`];
+
+            if (name === 'div' && typeof value === 'string') {
+                xml += `${indent}${value}\n`;
+                return;
+            }
+
+            const values = Array.isArray(value) ? value : [value];
+            const extrasList = Array.isArray(extras) ? extras : [extras];
+            const count = value === undefined ? extrasList.length : values.length;
+
+            for (let i = 0; i < count; i++) {
+                xml += jsonElementToXml(name, value === undefined ? undefined : values[i], extrasList[i], indent);
+            }
+        });
+
+        return xml;
+    }
+
+    function jsonElementToXml(name, value, extras, indent) {
+        if (value !== null && typeof value === 'object') {
+            if (value.resourceType) {
+                return `${indent}<${name}>\n${jsonResourceToXml(value, `${indent}  `)}${indent}</${name}>\n`;
+            }
+
+            const attributeKeys = name === 'extension' || name === 'modifierExtension' ? ['id', 'url'] : ['id'];
+            const attributes = attributeKeys
+                .filter(key => value[key] !== undefined)
+                .map(key => ` ${key}="${escapeXmlAttribute(value[key])}"`)
+                .join('');
+            const children = jsonPropertiesToXml(value, `${indent}  `, attributeKeys);
+            return children
+                ? `${indent}<${name}${attributes}>\n${children}${indent}</${name}>\n`
+                : `${indent}<${name}${attributes}/>\n`;
+        }
+
+        let attributes = extras?.id !== undefined ? ` id="${escapeXmlAttribute(extras.id)}"` : '';
+        if (value !== undefined && value !== null) {
+            attributes += ` value="${escapeXmlAttribute(value)}"`;
+        }
+        const children = extras ? jsonPropertiesToXml(extras, `${indent}  `, ['id']) : '';
+        return children
+            ? `${indent}<${name}${attributes}>\n${children}${indent}</${name}>\n`
+            : `${indent}<${name}${attributes}/>\n`;
+    }
+
+    function escapeXmlAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Validation
+
+    // Errors make the input unusable as a CapabilityStatement; warnings are spec
+    // violations the viewer can still display
+    function validateCapabilityStatement(data) {
+        const errors = [];
+        const warnings = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { errors: ['The input is not a FHIR resource'], warnings };
+        }
+        // DSTU2 servers return the same content as a Conformance resource
+        if (data.resourceType !== 'CapabilityStatement' && data.resourceType !== 'Conformance') {
+            errors.push(`resourceType is ${data.resourceType ? `"${data.resourceType}"` : 'missing'}, expected "CapabilityStatement"`);
+        }
+        if (!data.fhirVersion) {
+            errors.push('fhirVersion is missing');
+        }
+        ['status', 'date', 'kind'].forEach(element => {
+            if (!data[element]) {
+                warnings.push(`${element} is missing`);
+            }
+        });
+        if (!data.rest && !data.messaging && !data.document) {
+            warnings.push('No rest, messaging or document capabilities are declared');
+        }
+
+        if (data.rest !== undefined && !Array.isArray(data.rest)) {
+            errors.push('rest must be an array');
+        } else {
+            (data.rest || []).forEach((rest, restIndex) => {
+                if (!rest || typeof rest !== 'object') {
+                    errors.push(`rest[${restIndex}] is not an object`);
+                    return;
+                }
+                if (!rest.mode) {
+                    warnings.push(`rest[${restIndex}].mode is missing`);
+                }
+                if (rest.resource !== undefined && !Array.isArray(rest.resource)) {
+                    errors.push(`rest[${restIndex}].resource must be an array`);
+                    return;
+                }
+                (rest.resource || []).forEach((resource, resourceIndex) => {
+                    const path = `rest[${restIndex}].resource[${resourceIndex}]`;
+                    if (!resource?.type) {
+                        errors.push(`${path}.type is missing`);
+                    }
+                    if (resource?.interaction !== undefined && !Array.isArray(resource.interaction)) {
+                        errors.push(`${path}.interaction must be an array`);
+                    } else if (resource?.interaction?.some(interaction => !interaction?.code)) {
+                        errors.push(`${path} has an interaction without a code`);
+                    }
+                });
+            });
+        }
+
+        return { errors, warnings };
+    }
+
+    function isValidCapabilityStatement(data) {
+        return validateCapabilityStatement(data).errors.length === 0;
+    }
+
+    // Version normalization
+
+    function detectFhirRelease(data) {
+        const [major, minor] = String(data.fhirVersion || '').split('.').map(Number);
+
+        if (data.resourceType === 'Conformance' || major === 0 || (major === 1 && minor === 0)) {
+            return 'DSTU2';
+        }
+        // 1.x ballots led to STU3, 3.x ballots to R4, and so on
+        if (major === 1 || (major === 3 && minor === 0)) {
+            return 'STU3';
+        }
+        if (major === 3 || (major === 4 && minor === 0)) {
+            return 'R4';
+        }
+        if (major === 4 && minor <= 3) {
+            return 'R4B';
+        }
+        // From R5 on the major version alone decides, so later minor and patch releases still match
+        if (major === 4 || major === 5) {
+            return 'R5';
+        }
+        if (major > 5) {
+            return 'R6';
+        }
+        return 'Unknown';
+    }
+
+    function normalizeCapabilityStatement(data) {
+        const release = detectFhirRelease(data);
+        const normalized = JSON.parse(JSON.stringify(data));
+        normalized.resourceType = 'CapabilityStatement';
+
+        if (release === 'DSTU2') {
+            normalizeDstu2(normalized);
+        }
+        if (release === 'DSTU2' || release === 'STU3') {
+            normalizeReferencesToCanonicals(normalized);
+        }
+
+        // All releases: resource.profile is a single canonical, supportedProfile always an array
+        normalized.rest?.forEach(rest => {
+            rest.resource?.forEach(resource => {
+                if (Array.isArray(resource.profile)) {
+                    resource.supportedProfile = [...resource.profile.slice(1), ...(resource.supportedProfile || [])];
+                    resource.profile = resource.profile[0];
+                }
+                if (resource.supportedProfile && !Array.isArray(resource.supportedProfile)) {
+                    resource.supportedProfile = [resource.supportedProfile];
+                }
+            });
+        });
+
+        return { release, data: normalized };
+    }
+
+    function referenceToCanonical(value) {
+        return typeof value === 'string' ? value : value?.reference || value?.display;
+    }
+
+    function normalizeReferencesToCanonicals(data) {
+        // DSTU2 and STU3 use Reference where R4 uses canonical
+        if (Array.isArray(data.profile)) {
+            data.profile = data.profile.map(profile => referenceToCanonical(profile));
+        }
+        data.rest?.forEach(rest => {
+            rest.resource?.forEach(resource => {
+                if (resource.profile) {
+                    resource.profile = referenceToCanonical(resource.profile);
+                }
+                resource.operation?.forEach(op => {
+                    op.definition = referenceToCanonical(op.definition);
+                });
+            });
+            rest.operation?.forEach(op => {
+                op.definition = referenceToCanonical(op.definition);
+            });
+        });
+        data.document?.forEach(document => {
+            document.profile = referenceToCanonical(document.profile);
+        });
+    }
+
+    function normalizeDstu2(data) {
+        data.rest?.forEach(rest => {
+            // transactionMode became the batch and transaction system interactions
+            const modeInteractions = {
+                batch: ['batch'],
+                transaction: ['transaction'],
+                both: ['batch', 'transaction']
+            }[rest.transactionMode] || [];
+            modeInteractions.forEach(code => {
+                rest.interaction = rest.interaction || [];
+                if (!rest.interaction.some(interaction => interaction.code === code)) {
+                    rest.interaction.push({ code });
+                }
+            });
+        });
+
+        data.messaging?.forEach(messaging => {
+            // A single endpoint uri became a list of protocol/address pairs
+            if (typeof messaging.endpoint === 'string') {
+                messaging.endpoint = [{ address: messaging.endpoint }];
+            }
+            // event is kept as is rather than turned into supportedMessage entries, which
+            // would only list the same events a second time
+        });
+    }
+
+    // Security
+
+    function getOAuthUris(security) {
+        const extension = security?.extension?.find(ext => ext.url === SMART_OAUTH_URIS_EXTENSION);
+        if (!extension) {
+            return null;
+        }
+
+        const uris = {};
+        extension.extension?.forEach(subExtension => {
+            uris[subExtension.url] = subExtension.valueUri || subExtension.valueUrl;
+        });
+        return uris;
+    }
+
+    function isSmartSecurity(security) {
+        return Boolean(getOAuthUris(security)) ||
+            Boolean(security?.service?.some(service => service.coding?.some(coding => coding.code === 'SMART-on-FHIR')));
+    }
+
+    // Summaries
+
+    // Expects a raw statement of any release; it is normalized first
+    function summarizeCapabilityStatement(data) {
+        const { release, data: statement } = normalizeCapabilityStatement(data);
+
+        return {
+            name: statement.title || statement.name || statement.id || null,
+            url: statement.url || null,
+            publisher: statement.publisher || null,
+            status: statement.status || null,
+            kind: statement.kind || null,
+            date: statement.date || null,
+            fhirVersion: statement.fhirVersion,
+            release,
+            software: statement.software
+                ? [statement.software.name, statement.software.version].filter(Boolean).join(' ')
+                : null,
+            formats: statement.format || [],
+            rest: (statement.rest || []).map(rest => ({
+                mode: rest.mode || null,
+                interactions: rest.interaction?.map(interaction => interaction.code) || [],
+                operations: rest.operation?.map(op => op.name) || [],
+                security: {
+                    cors: rest.security?.cors ?? null,
+                    services: rest.security?.service?.flatMap(service =>
+                        service.coding?.map(coding => coding.code || coding.display) || (service.text ? [service.text] : [])
+                    ) || [],
+                    smart: isSmartSecurity(rest.security),
+                    oauthUris: getOAuthUris(rest.security)
+                },
+                resources: (rest.resource || []).map(resource => ({
+                    type: resource.type,
+                    profile: resource.profile || null,
+                    interactions: resource.interaction?.map(interaction => interaction.code) || [],
+                    searchParams: resource.searchParam?.map(param => param.name) || [],
+                    operations: resource.operation?.map(op => op.name) || []
+                }))
+            }))
+        };
+    }
+
+    function formatSummaryText(summary) {
+        const lines = [
+            `${summary.name || 'Unnamed CapabilityStatement'}`,
+            `  FHIR version: ${summary.fhirVersion} (${summary.release})`
+        ];
+        [['Publisher', summary.publisher], ['Status', summary.status], ['Kind', summary.kind],
+            ['Date', summary.date], ['Software', summary.software], ['Formats', summary.formats.join(', ')]]
+            .filter(([, value]) => value)
+            .forEach(([label, value]) => lines.push(`  ${label}: ${value}`));
+
+        summary.rest.forEach((rest, index) => {
+            lines.push('', `REST endpoint ${index + 1} (${rest.mode || 'mode not specified'})`);
+            lines.push(`  System interactions: ${rest.interactions.join(', ') || 'none'}`);
+            lines.push(`  System operations: ${rest.operations.map(name => `$${name}`).join(', ') || 'none'}`);
+
+            const { security } = rest;
+            const securityParts = [
+                security.services.length > 0 ? `services ${security.services.join(', ')}` : 'no security services',
+                security.cors === null ? null : `CORS ${security.cors ? 'enabled' : 'disabled'}`,
+                security.smart ? 'SMART on FHIR' : null
+            ].filter(Boolean);
+            lines.push(`  Security: ${securityParts.join('; ')}`);
+            Object.entries(security.oauthUris || {}).forEach(([name, uri]) => lines.push(`    ${name}: ${uri}`));
+
+            lines.push(`  Resources (${rest.resources.length}):`);
+            rest.resources.forEach(resource => {
+                lines.push(`    ${resource.type}: ${resource.interactions.join(', ') || 'no interactions'}`);
+                if (resource.searchParams.length > 0) {
+                    lines.push(`      search: ${resource.searchParams.join(', ')}`);
+                }
+                if (resource.operations.length > 0) {
+                    lines.push(`      operations: ${resource.operations.map(name => `$${name}`).join(', ')}`);
+                }
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    return {
+        FHIR_XML_NAMESPACE,
+        XHTML_NAMESPACE,
+        SMART_OAUTH_URIS_EXTENSION,
+        METADATA_RESOURCE_TYPES,
+        buildMetadataRequestUrl,
+        isMetadataUrl,
+        buildMetadataUrl,
+        fetchText,
+        fetchCapabilityStatement,
+        isNetworkFailure,
+        detectContentFormat,
+        parseFhirResourceText,
+        parseResponseText,
+        xmlToFhirJson,
+        fhirJsonToXml,
+        escapeXmlAttribute,
+        validateCapabilityStatement,
+        isValidCapabilityStatement,
+        detectFhirRelease,
+        normalizeCapabilityStatement,
+        getOAuthUris,
+        isSmartSecurity,
+        summarizeCapabilityStatement,
+        formatSummaryText
+    };
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Minimal local CORS proxy for the FHIR CapabilityStatement Viewer.
+ *
+ * Usage:
+ *   node proxy/cors-proxy.js
+ *   PORT=9000 ALLOWED_HOSTS=fhir.example.org,ehr.internal node proxy/cors-proxy.js
+ *   ALLOWED_ORIGINS=https://viewer.example.org node proxy/cors-proxy.js
+ *
+ * The viewer calls GET http://localhost:8787/?url=<encoded target URL>.
+ * Only GET requests to http(s) targets are forwarded, only the Accept header is
+ * passed on (never credentials), and the proxy listens on localhost only, so
+ * target URLs are never shared with a third-party service.
+ *
+ * Other websites open in the same browser must not be able to read internal
+ * hosts through the proxy, so:
+ * - only pages served from ALLOWED_ORIGINS may call it (default: any http://localhost,
+ *   127.0.0.1 or [::1] port; add "null" to allow a viewer opened from file://)
+ * - the Host header must name the proxy itself, which stops DNS rebinding
+ * - redirects are followed by hand and every hop is checked against ALLOWED_HOSTS
+ *
+ * Requires Node 18 or later (global fetch).
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const HOST = process.env.HOST || '127.0.0.1';
+const TIMEOUT_MS = parseInt(process.env.TIMEOUT_MS || '30000', 10);
+const MAX_REDIRECTS = 5;
+const ALLOWED_HOSTS = (process.env.ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+function isAllowedOrigin(origin) {
+    if (ALLOWED_ORIGINS.length > 0) {
+        return ALLOWED_ORIGINS.includes(origin);
+    }
+    try {
+        const parsed = new URL(origin);
+        return parsed.protocol === 'http:' && LOOPBACK_HOSTNAMES.includes(parsed.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// A rebound DNS name pointing at 127.0.0.1 still sends its own name as Host
+function isAllowedHostHeader(hostHeader, port) {
+    const hostnames = [...LOOPBACK_HOSTNAMES, HOST.includes(':') ? `[${HOST}]` : HOST];
+    return hostnames.some(hostname => hostHeader === `${hostname}:${port}` || (port === 80 && hostHeader === hostname));
+}
+
+function isAllowedTarget(targetUrl) {
+    return ALLOWED_HOSTS.length === 0 || ALLOWED_HOSTS.includes(targetUrl.hostname.toLowerCase());
+}
+
+function corsHeaders(origin) {
+    return origin ? {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Accept',
+        'Vary': 'Origin'
+    } : { 'Vary': 'Origin' };
+}
+
+function sendError(res, status, message, origin) {
+    res.writeHead(status, { ...corsHeaders(origin), 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+}
+
+// Follows redirects by hand so a permitted host cannot bounce the request to a blocked one
+async function fetchTarget(targetUrl, accept) {
+    let url = targetUrl;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const upstream = await fetch(url, {
+            headers: { 'Accept': accept },
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        const location = upstream.headers.get('location');
+        if (upstream.status < 300 || upstream.status >= 400 || !location) {
+            return { upstream, url };
+        }
+
+        url = new URL(location, url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw Object.assign(new Error(`Redirect to a ${url.protocol} URL is not followed`), { status: 400 });
+        }
+        if (!isAllowedTarget(url)) {
+            throw Object.assign(new Error(`Redirect to ${url.hostname}, which is not in ALLOWED_HOSTS`), { status: 403 });
+        }
+    }
+    throw Object.assign(new Error(`More than ${MAX_REDIRECTS} redirects`), { status: 502 });
+}
+
+async function handleRequest(req, res) {
+    const port = req.socket.localPort;
+    if (!isAllowedHostHeader(req.headers.host || '', port)) {
+        sendError(res, 403, 'The Host header does not name this proxy');
+        return;
+    }
+
+    // Browsers always send Origin on cross-origin requests; tools such as curl do not
+    const origin = req.headers.origin;
+    if (origin !== undefined && !isAllowedOrigin(origin)) {
+        sendError(res, 403, `Origin ${origin} is not allowed to use this proxy (see ALLOWED_ORIGINS)`);
+        return;
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders(origin));
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        sendError(res, 405, 'Only GET requests are proxied', origin);
+        return;
+    }
+
+    const target = new URL(req.url, `http://${req.headers.host}`).searchParams.get('url');
+    let targetUrl;
+    try {
+        targetUrl = new URL(target);
+    } catch (error) {
+        sendError(res, 400, 'Missing or invalid url parameter', origin);
+        return;
+    }
+
+    if (targetUrl.protocol !== 'http:' && targetUrl.protocol !== 'https:') {
+        sendError(res, 400, 'Only http and https targets are proxied', origin);
+        return;
+    }
+
+    if (!isAllowedTarget(targetUrl)) {
+        sendError(res, 403, `Host ${targetUrl.hostname} is not in ALLOWED_HOSTS`, origin);
+        return;
+    }
+
+    try {
+        const { upstream, url } = await fetchTarget(targetUrl, req.headers.accept || 'application/fhir+json, application/json');
+        const body = await upstream.text();
+
+        res.writeHead(upstream.status, {
+            ...corsHeaders(origin),
+            'Content-Type': upstream.headers.get('content-type') || 'text/plain; charset=utf-8'
+        });
+        res.end(body);
+        console.log(`${upstream.status} ${url.href}`);
+    } catch (error) {
+        const timedOut = error.name === 'TimeoutError';
+        const status = error.status || (timedOut ? 504 : 502);
+        sendError(res, status, timedOut ? 'Upstream request timed out' : error.status ? error.message : `Upstream request failed: ${error.message}`, origin);
+        console.error(`Failed ${targetUrl.href}: ${error.message}`);
+    }
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => sendError(res, 500, error.message));
+});
+server.listen(PORT, HOST, () => {
+    console.log(`CORS proxy listening on http://${HOST}:${server.address().port}/?url=`);
+    console.log(`Allowed origins: ${ALLOWED_ORIGINS.length > 0 ? ALLOWED_ORIGINS.join(', ') : 'http://localhost, 127.0.0.1 and [::1] on any port'}`);
+    if (ALLOWED_HOSTS.length > 0) {
+        console.log(`Allowed hosts: ${ALLOWED_HOSTS.join(', ')}`);
+    }
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { execFile, spawnSync } = require('child_process');
+const { ROOT, readFixture } = require('./helpers/viewer');
+
+const CLI = path.join(ROOT, 'bin', 'fhir-capstat.js');
+
+function runCli(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd: ROOT, encoding: 'utf8', timeout: 30000 });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// spawnSync would block the test process, and with it a server started here
+function runCliAsync(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { cwd: ROOT, encoding: 'utf8', timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+// /fhir/metadata answers with a statement; everything else is an HTML sign-in page
+function startServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url.startsWith('/fhir/metadata')) {
+            res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+            res.end(readFixture('r5.json'));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<!DOCTYPE html><html><body>Please sign in</body></html>');
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function fixture(name) {
+    return path.join('test', 'fixtures', name);
+}
+
+test('a valid file prints a text summary and exits 0', () => {
+    const { code, stdout } = runCli(fixture('multi-rest.json'));
+
+    assert.equal(code, 0);
+    assert.match(stdout, /REST endpoint 1 \(server\)/);
+    assert.match(stdout, /REST endpoint 2 \(client\)/);
+});
+
+test('--json prints the summary and warnings as JSON', () => {
+    const { code, stdout } = runCli(fixture('minimal.json'), '--json');
+    const output = JSON.parse(stdout);
+
+    assert.equal(code, 0);
+    assert.equal(output.valid, true);
+    assert.deepEqual(output.warnings, ['No rest, messaging or document capabilities are declared']);
+    assert.equal(output.summary.release, 'R4');
+});
+
+test('XML files are read with xmldom', () => {
+    const { code, stdout } = runCli(fixture('r4-server.xml'), '--json');
+
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).summary.name, 'XmlServer');
+});
+
+test('other resources exit 1 with the validation errors', () => {
+    const text = runCli(fixture('not-a-capability-statement.json'));
+    assert.equal(text.code, 1);
+    assert.match(text.stderr, /✗ resourceType is "Patient", expected "CapabilityStatement"/);
+
+    const json = runCli(fixture('not-a-capability-statement.json'), '--json');
+    assert.equal(json.code, 1);
+    assert.equal(JSON.parse(json.stdout).valid, false);
+});
+
+test('unparseable files exit 1, missing files and bad options exit 2', () => {
+    const unparseable = runCli(fixture('vendor-statement.js'));
+    assert.equal(unparseable.code, 1);
+    assert.match(unparseable.stderr, /Invalid JSON/);
+
+    const missing = runCli(fixture('does-not-exist.json'));
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /^Unable to load/);
+
+    const usage = runCli('--header', 'no-separator', fixture('minimal.json'));
+    assert.equal(usage.code, 2);
+    assert.match(usage.stderr, /--header expects "Name: value"/);
+});
+
+test('URLs are fetched, base URLs use /metadata and HTML pages exit 1', async (t) => {
+    const server = await startServer();
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const discovered = await runCliAsync(`${base}/fhir`, '--json');
+    assert.equal(discovered.code, 0);
+    assert.equal(JSON.parse(discovered.stdout).summary.release, 'R5');
+    assert.match(discovered.stderr, /using http:\/\/127\.0\.0\.1:\d+\/fhir\/metadata/);
+
+    const html = await runCliAsync(`${base}/login`);
+    assert.equal(html.code, 1);
+    assert.match(html.stderr, /^Unable to load .*: The server returned an HTML page instead of a FHIR resource/);
+});
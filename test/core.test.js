@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const core = require('../lib/capability-core');
+const { loadFixture, readFixture } = require('./helpers/viewer');
+
+const xmlSupport = { DOMParser, XMLSerializer };
+
+test('valid statements have no errors and report missing optional elements as warnings', () => {
+    assert.deepEqual(core.validateCapabilityStatement(loadFixture('r5.json')), { errors: [], warnings: [] });
+    assert.deepEqual(core.validateCapabilityStatement(loadFixture('minimal.json')), {
+        errors: [],
+        warnings: ['No rest, messaging or document capabilities are declared']
+    });
+    assert.equal(core.isValidCapabilityStatement(loadFixture('dstu2-conformance.json')), true);
+});
+
+test('structural problems are errors', () => {
+    assert.deepEqual(core.validateCapabilityStatement(null).errors, ['The input is not a FHIR resource']);
+    assert.deepEqual(core.validateCapabilityStatement(loadFixture('not-a-capability-statement.json')).errors, [
+        'resourceType is "Patient", expected "CapabilityStatement"',
+        'fhirVersion is missing'
+    ]);
+    assert.deepEqual(core.validateCapabilityStatement({
+        resourceType: 'CapabilityStatement',
+        fhirVersion: '4.0.1',
+        rest: [
+            { mode: 'server', resource: [{ interaction: [{ code: 'read' }] }, { type: 'Patient', interaction: [{}] }] },
+            { resource: {} }
+        ]
+    }), {
+        errors: [
+            'rest[0].resource[0].type is missing',
+            'rest[0].resource[1] has an interaction without a code',
+            'rest[1].resource must be an array'
+        ],
+        warnings: ['status is missing', 'date is missing', 'kind is missing', 'rest[1].mode is missing']
+    });
+});
+
+test('fhirVersion maps to its release, including ballot versions', () => {
+    const releases = {
+        '1.0.2': 'DSTU2',
+        '1.4.0': 'STU3',
+        '3.0.2': 'STU3',
+        '3.3.0': 'R4',
+        '4.0.1': 'R4',
+        '4.3.0': 'R4B',
+        '4.6.0': 'R5',
+        '5.0.0': 'R5',
+        '5.0.0-ballot': 'R5',
+        '5.0.0-snapshot3': 'R5',
+        '5.0': 'R5',
+        '5.1.0': 'R5',
+        '5.2.1-cibuild': 'R5',
+        '6.0.0-ballot2': 'R6',
+        'unknown': 'Unknown'
+    };
+    Object.entries(releases).forEach(([fhirVersion, release]) => {
+        assert.equal(core.detectFhirRelease({ resourceType: 'CapabilityStatement', fhirVersion }), release, fhirVersion);
+    });
+    assert.equal(core.detectFhirRelease({ resourceType: 'Conformance', fhirVersion: '4.0.1' }), 'DSTU2');
+    assert.equal(core.normalizeCapabilityStatement({ ...loadFixture('r5.json'), fhirVersion: '5.1.0' }).release, 'R5');
+});
+
+test('DSTU2 Conformance is normalized without changing the input', () => {
+    const input = loadFixture('dstu2-conformance.json');
+    const { release, data } = core.normalizeCapabilityStatement(input);
+
+    assert.equal(release, 'DSTU2');
+    assert.equal(input.resourceType, 'Conformance');
+    assert.equal(data.resourceType, 'CapabilityStatement');
+    assert.deepEqual(data.rest[0].interaction, [{ code: 'batch' }, { code: 'transaction' }]);
+    assert.equal(data.rest[0].resource[0].profile, 'http://example.org/fhir/StructureDefinition/legacy-patient');
+    assert.equal(data.rest[0].operation[0].definition, 'http://example.org/fhir/OperationDefinition/everything');
+    assert.deepEqual(data.messaging[0].endpoint, [{ address: 'mllp://example.org:2575' }]);
+    assert.equal(data.messaging[0].supportedMessage, undefined);
+    assert.equal(data.messaging[0].event[0].code.code, 'admin-notify');
+});
+
+test('XML converts to FHIR JSON and back', () => {
+    const data = core.parseFhirResourceText(readFixture('r4-server.xml'), xmlSupport);
+
+    assert.equal(data.resourceType, 'CapabilityStatement');
+    assert.deepEqual(data.format, ['xml']);
+    assert.equal(data.rest[0].security.cors, true);
+    assert.deepEqual(data.rest[0].resource[0].searchParam, [{ name: 'name', type: 'string' }]);
+
+    const roundTripped = core.parseFhirResourceText(core.fhirJsonToXml(data), xmlSupport);
+    assert.deepEqual(roundTripped, data);
+});
+
+test('unparseable responses explain what was received', () => {
+    assert.throws(() => core.parseResponseText('<html><body>Login</body></html>'), /returned an HTML page/);
+    assert.throws(() => core.parseResponseText('{"resourceType"'), /^Error: Invalid response from server: Invalid JSON: /);
+    assert.throws(() => core.parseFhirResourceText('<CapabilityStatement>', xmlSupport), /^Error: Invalid XML: /);
+});
+
+test('metadata request urls add _format and keep existing query parameters', () => {
+    assert.equal(core.buildMetadataRequestUrl('https://example.org/fhir/metadata'), 'https://example.org/fhir/metadata');
+    assert.equal(core.buildMetadataRequestUrl('https://example.org/fhir/metadata', 'json'), 'https://example.org/fhir/metadata?_format=json');
+    assert.equal(core.buildMetadataRequestUrl('https://example.org/fhir/metadata?mode=full', 'xml'), 'https://example.org/fhir/metadata?mode=full&_format=xml');
+});
+
+test('metadata urls are derived from base urls', () => {
+    assert.equal(core.isMetadataUrl('https://example.org/fhir/metadata'), true);
+    assert.equal(core.isMetadataUrl('https://example.org/fhir/metadata?mode=terminology'), true);
+    assert.equal(core.isMetadataUrl('https://example.org/fhir'), false);
+    assert.equal(core.isMetadataUrl('not a url'), false);
+    assert.equal(core.buildMetadataUrl('https://example.org/fhir/'), 'https://example.org/fhir/metadata');
+    assert.equal(core.buildMetadataUrl('https://example.org/fhir/metadata?_format=json', 'terminology'), 'https://example.org/fhir/metadata?mode=terminology');
+    assert.equal(core.buildMetadataUrl('https://example.org'), 'https://example.org/metadata');
+});
+
+test('TerminologyCapabilities XML keeps repeating elements as arrays', () => {
+    const data = core.parseFhirResourceText(`<TerminologyCapabilities xmlns="http://hl7.org/fhir">
+        <status value="active"/>
+        <codeSystem>
+            <uri value="http://snomed.info/sct"/>
+            <version>
+                <code value="20240301"/>
+                <isDefault value="true"/>
+                <language value="en"/>
+                <filter><code value="concept"/><op value="is-a"/></filter>
+                <property value="parent"/>
+            </version>
+            <subsumption value="false"/>
+        </codeSystem>
+        <expansion><paging value="true"/><parameter><name value="activeOnly"/></parameter></expansion>
+    </TerminologyCapabilities>`, xmlSupport);
+
+    assert.deepEqual(data.codeSystem, [{
+        uri: 'http://snomed.info/sct',
+        version: [{
+            code: '20240301',
+            isDefault: true,
+            language: ['en'],
+            filter: [{ code: 'concept', op: ['is-a'] }],
+            property: ['parent']
+        }],
+        subsumption: false
+    }]);
+    assert.deepEqual(data.expansion, { paging: true, parameter: [{ name: 'activeOnly' }] });
+});
+
+test('summaries list endpoints, security and resources', () => {
+    const summary = core.summarizeCapabilityStatement(loadFixture('dstu2-conformance.json'));
+
+    assert.equal(summary.name, 'Legacy DSTU2 server');
+    assert.equal(summary.release, 'DSTU2');
+    assert.deepEqual(summary.rest[0].interactions, ['batch', 'transaction']);
+    assert.deepEqual(summary.rest[0].security, { cors: true, services: ['SMART-on-FHIR'], smart: true, oauthUris: null });
+    assert.deepEqual(summary.rest[0].resources, [{
+        type: 'Patient',
+        profile: 'http://example.org/fhir/StructureDefinition/legacy-patient',
+        interactions: ['read', 'search-type'],
+        searchParams: ['family'],
+        operations: []
+    }]);
+
+    const text = core.formatSummaryText(summary);
+    assert.match(text, /^Legacy DSTU2 server\n {2}FHIR version: 1\.0\.2 \(DSTU2\)/);
+    assert.match(text, / {2}Security: services SMART-on-FHIR; CORS enabled; SMART on FHIR/);
+    assert.match(text, / {4}Patient: read, search-type\n {6}search: family/);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, stubFetch, loadFixture, settle } = require('./helpers/viewer');
+
+const SERVERS = {
+    r5: 'https://r5.example.org/fhir/metadata',
+    legacy: 'https://legacy.example.org/fhir',
+    down: 'https://down.example.org/fhir/metadata'
+};
+
+async function loadDashboard(routes, urls, setup = () => {}) {
+    const stub = stubFetch(routes);
+    const page = await createViewer({ fetch: stub.fetch });
+    page.document.getElementById('proxy-mode').value = 'off';
+    setup(page);
+    page.document.getElementById('dashboard-urls').value = urls.join('\n');
+    page.document.getElementById('dashboard-load-button').click();
+    await settle();
+    return { ...page, calls: stub.calls };
+}
+
+// The delayed routes answer after settle() has returned
+function wait(ms = 100) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function rowTexts(document, selector) {
+    return [...document.querySelectorAll(`${selector} tbody tr`)]
+        .map(row => [...row.children].map(cell => cell.textContent.replace(/\s+/g, ' ').trim()));
+}
+
+// Each server answers after a short delay so overlapping requests can be counted
+function delayedRoutes(inFlight) {
+    const respond = body => async () => {
+        inFlight.current++;
+        inFlight.max = Math.max(inFlight.max, inFlight.current);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        inFlight.current--;
+        return body;
+    };
+    return {
+        [SERVERS.r5]: respond({ body: loadFixture('r5.json') }),
+        [`${SERVERS.legacy}/metadata`]: respond({ body: loadFixture('dstu2-conformance.json') }),
+        [SERVERS.legacy]: respond({ body: '<!DOCTYPE html><html><body>Welcome</body></html>' }),
+        [SERVERS.down]: respond({ status: 503, statusText: 'Service Unavailable' })
+    };
+}
+
+test('servers load concurrently into one row each, without credentials or history entries', async () => {
+    const inFlight = { current: 0, max: 0 };
+    const saved = [];
+    const page = await loadDashboard(delayedRoutes(inFlight), Object.values(SERVERS), ({ document, viewer }) => {
+        document.getElementById('auth-token').value = 'secret';
+        viewer.saveHistoryEntry = async url => { saved.push(url); };
+    });
+    await wait();
+    const { document, calls } = page;
+
+    assert.equal(inFlight.max, 3);
+    assert.ok(calls.every(call => !call.headers['Authorization']));
+    assert.match(page.text('dashboard-progress'), /^2 of 3 loaded, 1 failed$/);
+
+    const rows = rowTexts(document, '.dashboard-servers');
+    assert.deepEqual(rows.map(row => row.slice(0, 5)), [
+        ['1. R5 Reference Server https://r5.example.org/fhir/metadata', '5.0.0 R5', 'Example FHIR Server 5.1.0', 'active', '2'],
+        ['2. Legacy DSTU2 server https://legacy.example.org/fhir', '1.0.2 DSTU2', '–', 'active', '1'],
+        ['3. down.example.org https://down.example.org/fhir/metadata', '–', '–', '–', '–']
+    ]);
+    assert.match(rows[1][5], /Served direct connection Found at https:\/\/legacy\.example\.org\/fhir\/metadata/);
+    assert.match(rows[2][5], /^Direct request failed: HTTP 503: Service Unavailable$/);
+    assert.equal(document.querySelectorAll('[data-dashboard-open]').length, 2);
+    assert.deepEqual(saved, []);
+    page.close();
+});
+
+test('unreachable base URLs fall back to the copy cached under their /metadata URL', async () => {
+    const cached = [`${SERVERS.legacy}/metadata`, SERVERS.down];
+    const routes = { [SERVERS.down]: { status: 503, statusText: 'Service Unavailable' } };
+    const page = await loadDashboard(routes, [SERVERS.legacy, SERVERS.down], ({ viewer }) => {
+        viewer.getHistoryEntry = async url => cached.includes(url) ? {
+            url,
+            data: loadFixture('dstu2-conformance.json'),
+            format: 'json',
+            fetchedAt: '2026-01-02T03:04:05.000Z'
+        } : null;
+    });
+
+    const [row, down] = rowTexts(page.document, '.dashboard-servers');
+    assert.equal(row[1], '1.0.2 DSTU2');
+    assert.match(row[5], /^Cached from /);
+    // A server that answers with an error is reported, not replaced by its cached copy
+    assert.match(down[5], /^Direct request failed: HTTP 503: Service Unavailable$/);
+    page.close();
+});
+
+test('an invalid custom header stops the dashboard before any request', async () => {
+    const page = await loadDashboard({}, [SERVERS.r5], ({ viewer }) => viewer.addCustomHeaderRow('X Bad', 'value'));
+
+    assert.equal(page.calls.length, 0);
+    assert.equal(page.text('dashboard-status'), '"X Bad" is not a valid HTTP header name');
+    page.close();
+});
+
+test('the heat map shows interaction counts per resource and server, or one interaction', async () => {
+    const page = await loadDashboard(delayedRoutes({ current: 0, max: 0 }), Object.values(SERVERS));
+    await wait();
+    const { window, document } = page;
+
+    assert.deepEqual(
+        [...document.querySelectorAll('.coverage-heatmap thead th')].map(th => th.textContent.trim()),
+        ['Resource', 'Servers', '1. R5 Reference Server', '2. Legacy DSTU2 server']
+    );
+    assert.deepEqual(rowTexts(document, '.coverage-heatmap'), [
+        ['Observation', '1/2', '2', '–'],
+        ['Patient', '2/2', '6', '2']
+    ]);
+    assert.equal(document.querySelector('.coverage-heatmap [data-resource-type="Patient"] td:nth-child(3)').className, 'heat-cell heat-level-3');
+
+    const select = document.getElementById('dashboard-interaction');
+    select.value = 'vread';
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+    assert.deepEqual(rowTexts(document, '.coverage-heatmap'), [
+        ['Observation', '1/2', '✗', '–'],
+        ['Patient', '2/2', '✓', '✗']
+    ]);
+
+    document.querySelector('[data-dashboard-open="1"]').click();
+    assert.equal(document.getElementById('fhir-url').value, `${SERVERS.legacy}/metadata`);
+    assert.match(page.text('overview-content'), /Legacy DSTU2 server/);
+    // Opening the DSTU2 server also looks up its SMART configuration
+    await wait();
+    page.close();
+});
+
+test('server lists can be imported and saved as named workspaces', async () => {
+    const page = await loadDashboard({ [SERVERS.r5]: { body: loadFixture('r5.json') } }, []);
+    const { window, document, viewer } = page;
+    assert.equal(page.text('dashboard-status'), 'Enter at least one http(s) URL, one per line');
+
+    await viewer.importServerList(new window.File([
+        `name,url\nR5,${SERVERS.r5}\n`,
+        JSON.stringify([SERVERS.r5, SERVERS.legacy])
+    ], 'servers.csv'));
+    await settle();
+    assert.equal(document.getElementById('dashboard-urls').value, `${SERVERS.r5}\n${SERVERS.legacy}`);
+    assert.match(page.text('dashboard-progress'), /^1 of 2 loaded, 1 failed$/);
+
+    window.prompt = () => ' EHR evaluation ';
+    document.getElementById('workspace-save-button').click();
+    assert.equal(page.text('dashboard-status'), 'Saved "EHR evaluation" with 2 servers');
+    assert.match(document.querySelector('#dashboard-content h2').textContent, /^Workspace: EHR evaluation$/);
+
+    document.getElementById('dashboard-urls').value = '';
+    viewer.dashboard = null;
+    const select = document.getElementById('workspace-select');
+    assert.deepEqual([...select.options].map(option => option.textContent), ['Choose a workspace', 'EHR evaluation (2)']);
+    select.value = 'EHR evaluation';
+    select.dispatchEvent(new window.Event('change'));
+    await settle();
+    assert.equal(document.getElementById('dashboard-urls').value, `${SERVERS.r5}\n${SERVERS.legacy}`);
+    assert.equal(viewer.dashboard.servers.length, 2);
+
+    window.confirm = () => true;
+    document.getElementById('workspace-delete-button').click();
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('fhir-viewer-workspaces')), {});
+    assert.equal(document.querySelector('#dashboard-content h2').textContent, 'Server Dashboard');
+    page.close();
+});
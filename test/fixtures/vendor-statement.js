@@ -0,0 +1,56 @@
+// A large vendor-style statement (hundreds of resources, thousands of search
+// parameters) built in code rather than checked in as a multi-megabyte file
+const EXPECTATION_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/capabilitystatement-expectation';
+
+function buildVendorStatement(resourceCount = 180, paramsPerResource = 12) {
+    const resourceTypes = ['Patient', ...Array.from({ length: resourceCount - 1 }, (_, index) => `Vendor${String(index + 1).padStart(3, '0')}`)];
+
+    return {
+        resourceType: 'CapabilityStatement',
+        name: 'VendorEHR',
+        title: 'Vendor EHR FHIR API',
+        status: 'active',
+        date: '2024-09-30',
+        publisher: 'Vendor Inc.',
+        kind: 'instance',
+        fhirVersion: '4.0.1',
+        format: ['json', 'xml'],
+        software: { name: 'Vendor EHR', version: '2024.3' },
+        rest: [{
+            mode: 'server',
+            security: {
+                cors: true,
+                service: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'SMART-on-FHIR' }] }],
+                extension: [{
+                    url: 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris',
+                    extension: [
+                        { url: 'authorize', valueUri: 'https://vendor.example.org/oauth2/authorize' },
+                        { url: 'token', valueUri: 'https://vendor.example.org/oauth2/token' }
+                    ]
+                }]
+            },
+            resource: resourceTypes.map((type, index) => ({
+                type,
+                profile: `http://vendor.example.org/fhir/StructureDefinition/${type}`,
+                interaction: ['read', 'search-type', ...(index % 3 === 0 ? ['create', 'update'] : [])].map(code => ({
+                    code,
+                    extension: [{ url: EXPECTATION_EXTENSION, valueCode: 'SHALL' }]
+                })),
+                versioning: index % 2 === 0 ? 'versioned' : 'no-version',
+                conditionalDelete: 'not-supported',
+                searchParam: [
+                    ...(type === 'Patient' ? [] : [{ name: 'patient', type: 'reference', documentation: 'The patient this record is about' }]),
+                    ...Array.from({ length: paramsPerResource }, (_, paramIndex) => ({
+                        name: `param-${paramIndex}`,
+                        type: ['token', 'string', 'date', 'reference'][paramIndex % 4],
+                        documentation: `Vendor search parameter ${paramIndex} for ${type}`
+                    }))
+                ],
+                searchRevInclude: type === 'Patient' ? ['Vendor001:patient'] : undefined,
+                operation: index % 10 === 0 ? [{ name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/patient-export' }] : undefined
+            }))
+        }]
+    };
+}
+
+module.exports = { buildVendorStatement };
@@ -0,0 +1,88 @@
+// Boots index.html and the page scripts in jsdom with fetch stubbed out
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function loadFixture(name) {
+    return JSON.parse(readFixture(name));
+}
+
+// routes maps a URL prefix to a response ({ status, body, statusText }) or to a function
+// returning one; unmatched URLs fail like a blocked cross-origin request
+function stubFetch(routes = {}) {
+    const calls = [];
+    const fetch = async (url, options = {}) => {
+        calls.push({ url: String(url), headers: options.headers || {} });
+        const prefix = Object.keys(routes).find(candidate => String(url).startsWith(candidate));
+        let route = prefix === undefined ? null : routes[prefix];
+        if (typeof route === 'function') {
+            route = await route(String(url), options);
+        }
+        if (!route) {
+            throw new TypeError('Failed to fetch');
+        }
+        const status = route.status || 200;
+        const body = typeof route.body === 'string' ? route.body : JSON.stringify(route.body);
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: route.statusText || '',
+            text: async () => body,
+            json: async () => JSON.parse(body)
+        };
+    };
+    return { fetch, calls };
+}
+
+async function createViewer({ search = '', fetch = stubFetch().fetch } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    const dom = new JSDOM(html.replace(/<script src="[^"]+"><\/script>/g, ''), {
+        url: `http://localhost/index.html${search}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    // Let DOMContentLoaded pass first so the page's own bootstrap does not create a second viewer
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    }
+
+    const logs = [];
+    window.fetch = fetch;
+    window.alert = message => logs.push(['alert', message]);
+    window.console = {
+        log: (...args) => logs.push(['log', ...args]),
+        warn: (...args) => logs.push(['warn', ...args]),
+        error: (...args) => logs.push(['error', ...args])
+    };
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    // One eval keeps the scripts' top-level declarations in a shared scope, as in the page
+    const source = scripts.map(src => fs.readFileSync(path.join(ROOT, src), 'utf8')).join('\n;\n');
+    window.eval(`${source}\n;window.viewer = new FHIRCapabilityViewer();`);
+
+    return {
+        window,
+        document: window.document,
+        viewer: window.viewer,
+        logs,
+        text: id => window.document.getElementById(id).textContent.replace(/\s+/g, ' ').trim(),
+        close: () => window.close()
+    };
+}
+
+// Gives pending promise callbacks (fetches, renders) a chance to finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+module.exports = { createViewer, stubFetch, loadFixture, readFixture, settle, ROOT };
@@ -0,0 +1,278 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, stubFetch, readFixture, loadFixture, settle } = require('./helpers/viewer');
+
+const SERVER = 'https://fhir.example.org/r4/metadata';
+const PUBLIC_PROXY = 'https://api.allorigins.win/raw';
+const HTML_PAGE = '<!DOCTYPE html><html><body>Please sign in</body></html>';
+
+// A loaded statement also triggers a SMART configuration lookup; only count the metadata requests
+function metadataCalls(calls) {
+    return calls.filter(call => !call.url.includes('smart-configuration'));
+}
+
+async function loadUrl(routes, { url = SERVER, proxyMode } = {}) {
+    const stub = stubFetch(routes);
+    const page = await createViewer({ fetch: stub.fetch });
+    if (proxyMode) {
+        page.document.getElementById('proxy-mode').value = proxyMode;
+    }
+    page.document.getElementById('fhir-url').value = url;
+    await page.viewer.loadCapabilityStatement();
+    await settle();
+    return { ...page, calls: metadataCalls(stub.calls) };
+}
+
+test('a statement served directly is loaded and labelled as a direct connection', async () => {
+    const page = await loadUrl({ [SERVER]: { body: loadFixture('r5.json') } });
+
+    assert.equal(page.calls.length, 1);
+    assert.equal(page.calls[0].url, `${SERVER}?_format=json`);
+    assert.equal(page.calls[0].headers['Accept'], 'application/fhir+json, application/json');
+    assert.equal(page.text('error-text'), '');
+    assert.match(page.text('overview-content'), /R5Server/);
+    assert.equal(page.document.querySelector('.fetch-path').className, 'fetch-path fetch-path-direct');
+    page.close();
+});
+
+test('the url query parameter loads the statement on startup', async () => {
+    const stub = stubFetch({ [SERVER]: { body: loadFixture('multi-rest.json') } });
+    const page = await createViewer({ search: `?url=${encodeURIComponent(SERVER)}`, fetch: stub.fetch });
+    await settle();
+
+    assert.equal(page.document.getElementById('fhir-url').value, SERVER);
+    assert.match(page.text('overview-content'), /ServerAndClient/);
+    page.close();
+});
+
+test('a url parameter containing percent escapes is used exactly as linked', async () => {
+    const url = 'https://fhir.example.org/r4/metadata?_filter=a%25&path=x%2Fy';
+    const stub = stubFetch({ [SERVER]: { body: loadFixture('multi-rest.json') } });
+    const page = await createViewer({ search: `?url=${encodeURIComponent(url)}`, fetch: stub.fetch });
+    await settle();
+
+    assert.equal(page.document.getElementById('fhir-url').value, url);
+    assert.equal(metadataCalls(stub.calls)[0].url, `${url}&_format=json`);
+    assert.match(page.text('overview-content'), /ServerAndClient/);
+    page.close();
+});
+
+test('an HTML login page falls back to the proxy, which can still succeed', async () => {
+    const page = await loadUrl({
+        [SERVER]: { body: HTML_PAGE },
+        [PUBLIC_PROXY]: { body: loadFixture('r5.json') }
+    });
+
+    assert.equal(page.calls.length, 2);
+    assert.equal(page.calls[1].url, `${PUBLIC_PROXY}?url=${encodeURIComponent(`${SERVER}?_format=json`)}`);
+    assert.match(page.text('overview-content'), /R5Server/);
+    assert.match(page.document.querySelector('.fetch-path-proxy').textContent, /api\.allorigins\.win/);
+    page.close();
+});
+
+test('HTML from both the server and the proxy is reported as such', async () => {
+    const page = await loadUrl({
+        [SERVER]: { body: HTML_PAGE },
+        [PUBLIC_PROXY]: { body: HTML_PAGE }
+    });
+
+    assert.match(page.text('error-text'), /returned an HTML page instead of a FHIR resource/);
+    assert.equal(page.document.getElementById('results-section').style.display, 'none');
+    page.close();
+});
+
+test('an HTTP error followed by a proxy failure explains that both paths failed', async () => {
+    const page = await loadUrl({
+        [SERVER]: { status: 500, statusText: 'Internal Server Error' },
+        [PUBLIC_PROXY]: { status: 502, statusText: 'Bad Gateway' }
+    });
+
+    assert.equal(page.calls.length, 2);
+    assert.match(page.text('error-text'), /^Both direct connection and proxy failed/);
+    page.close();
+});
+
+test('authorization failures are not retried through the proxy', async () => {
+    const page = await loadUrl({ [SERVER]: { status: 401, statusText: 'Unauthorized' } });
+
+    assert.equal(page.calls.length, 1);
+    assert.match(page.text('error-text'), /rejected the request \(HTTP 401: Unauthorized\)/);
+    page.close();
+});
+
+test('network failures with the proxy turned off say that nothing else was tried', async () => {
+    const page = await loadUrl({}, { proxyMode: 'off' });
+
+    assert.equal(page.calls.length, 1);
+    assert.match(page.text('error-text'), /^Direct request failed: Failed to fetch/);
+    assert.match(page.text('error-text'), /The CORS proxy is turned off/);
+    page.close();
+});
+
+test('only an unreachable server falls back to its cached copy', async () => {
+    const cachedCopy = async url => url === SERVER ? {
+        url,
+        data: loadFixture('r5.json'),
+        format: 'json',
+        fetchedAt: '2026-01-02T03:04:05.000Z'
+    } : null;
+    const withCache = async (routes, setup = () => {}) => {
+        const stub = stubFetch(routes);
+        const page = await createViewer({ fetch: stub.fetch });
+        page.viewer.getHistoryEntry = cachedCopy;
+        page.document.getElementById('proxy-mode').value = 'off';
+        page.document.getElementById('fhir-url').value = SERVER;
+        setup(page);
+        await page.viewer.loadCapabilityStatement();
+        await settle();
+        return { ...page, calls: metadataCalls(stub.calls) };
+    };
+
+    const unreachable = await withCache({});
+    assert.equal(unreachable.text('error-text'), '');
+    assert.equal(unreachable.document.getElementById('cache-banner').style.display, 'flex');
+    assert.match(unreachable.text('overview-content'), /R5Server/);
+    unreachable.close();
+
+    const serverError = await withCache({ [SERVER]: { status: 500, statusText: 'Internal Server Error' } });
+    assert.match(serverError.text('error-text'), /^Direct request failed: HTTP 500: Internal Server Error/);
+    assert.equal(serverError.document.getElementById('results-section').style.display, 'none');
+    serverError.close();
+
+    const badHeader = await withCache({}, ({ viewer }) => viewer.addCustomHeaderRow('X Bad', 'value'));
+    assert.equal(badHeader.calls.length, 0);
+    assert.equal(badHeader.text('error-text'), '"X Bad" is not a valid HTTP header name');
+    assert.equal(badHeader.document.getElementById('results-section').style.display, 'none');
+    badHeader.close();
+});
+
+test('a token is sent directly only, never through the proxy', async () => {
+    const stub = stubFetch({});
+    const page = await createViewer({ fetch: stub.fetch });
+    page.document.getElementById('auth-token').value = 'secret';
+    page.document.getElementById('fhir-url').value = SERVER;
+    await page.viewer.loadCapabilityStatement();
+    await settle();
+
+    const calls = metadataCalls(stub.calls);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].headers['Authorization'], 'Bearer secret');
+    assert.match(page.text('error-text'), /^Authenticated request failed/);
+    page.close();
+});
+
+test('resources other than a CapabilityStatement are rejected', async () => {
+    const page = await loadUrl({ [SERVER]: { body: loadFixture('not-a-capability-statement.json') } });
+
+    assert.equal(page.text('error-text'), 'The response does not appear to be a valid FHIR CapabilityStatement');
+    page.close();
+});
+
+test('a base URL that is not a CapabilityStatement is retried as <base>/metadata', async () => {
+    const base = 'https://fhir.example.org/r4';
+    const page = await loadUrl({
+        [SERVER]: { body: loadFixture('r5.json') },
+        [base]: { body: { resourceType: 'Bundle', type: 'searchset' } }
+    }, { url: `${base}/` });
+
+    assert.deepEqual(page.calls.map(call => call.url), [`${base}/?_format=json`, `${SERVER}?_format=json`]);
+    assert.equal(page.document.getElementById('fhir-url').value, SERVER);
+    assert.equal(page.viewer.currentSource.url, SERVER);
+    assert.match(page.text('overview-content'), /Found at \/metadata; https:\/\/fhir\.example\.org\/r4\/ did not return a CapabilityStatement/);
+    page.close();
+});
+
+test('a base URL is reported with both attempts when /metadata fails too', async () => {
+    const base = 'https://fhir.example.org/r4';
+    const notFound = await loadUrl({ [base]: { status: 404, statusText: 'Not Found' } }, { url: base, proxyMode: 'off' });
+    assert.match(notFound.text('error-text'), /^Direct request failed: HTTP 404: Not Found/);
+    assert.match(notFound.text('error-text'), /https:\/\/fhir\.example\.org\/r4\/metadata was tried as well/);
+    notFound.close();
+
+    const bundle = await loadUrl({
+        [SERVER]: { status: 404 },
+        [base]: { body: { resourceType: 'Bundle', type: 'searchset' } }
+    }, { url: base, proxyMode: 'off' });
+    assert.equal(bundle.text('error-text'), `Neither ${base} nor ${SERVER} returned a FHIR CapabilityStatement (the first returned a Bundle resource)`);
+    bundle.close();
+});
+
+test('a base URL whose /metadata refuses the request reports the authorization failure', async () => {
+    const base = 'https://fhir.example.org/r4';
+    const page = await loadUrl({
+        [SERVER]: { status: 401, statusText: 'Unauthorized' },
+        [base]: { status: 404, statusText: 'Not Found' }
+    }, { url: base, proxyMode: 'off' });
+
+    assert.deepEqual(page.calls.map(call => call.url), [`${base}?_format=json`, `${SERVER}?_format=json`]);
+    assert.match(page.text('error-text'), /rejected the request \(HTTP 401: Unauthorized\)/);
+    page.close();
+});
+
+test('definitions still in flight when another statement loads are dropped', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const definition = resourceType => async () => {
+        await gate;
+        return { body: { resourceType: 'Bundle', entry: [{ resource: { resourceType, url: 'http://example.org/late' } }] } };
+    };
+    const other = 'https://other.example.org/fhir/metadata';
+    const page = await loadUrl({
+        [SERVER]: { body: loadFixture('r5.json') },
+        [other]: { body: loadFixture('multi-rest.json') },
+        'https://fhir.example.org/r4/SearchParameter': definition('SearchParameter'),
+        'https://fhir.example.org/r4/OperationDefinition': definition('OperationDefinition'),
+        'https://fhir.example.org/r4/StructureDefinition': definition('StructureDefinition')
+    });
+    const { document, viewer } = page;
+
+    const resolving = viewer.resolveDefinitionsFromServer();
+    assert.match(page.text('definition-status'), /^Resolving 0 of 3 definitions/);
+    document.getElementById('fhir-url').value = other;
+    await viewer.loadCapabilityStatement();
+    const statusAfterReload = page.text('definition-status');
+
+    release();
+    await resolving;
+    await settle();
+    assert.match(page.text('overview-content'), /ServerAndClient/);
+    assert.equal(viewer.resolvedDefinitions.size, 0);
+    assert.equal(page.text('definition-status'), statusAfterReload);
+    assert.equal(document.getElementById('resolve-definitions-button').disabled, false);
+    page.close();
+});
+
+test('partial definitions from the server render what they have', async () => {
+    const partial = { body: loadFixture('partial-definitions.json') };
+    const page = await loadUrl({
+        [SERVER]: { body: loadFixture('r5.json') },
+        'https://fhir.example.org/r4/SearchParameter': partial,
+        'https://fhir.example.org/r4/StructureDefinition': partial
+    }, { proxyMode: 'off' });
+    const { viewer } = page;
+
+    await viewer.resolveDefinitionsFromServer();
+    await settle();
+    assert.match(page.text('definition-status'), /^Resolved 2 of 3 definitions/);
+    assert.match(page.text('search-tab'), /Expression: Patient\.name\.family Targets: Patient Comparators: eq/);
+    assert.match(page.text('resources-tab'), /IPAPatient — 2 must-support elements ElementCardinalityType Patient\.identifier 0\.\.\* Patient\.name 1\.\.\* HumanName/);
+    page.close();
+});
+
+test('XML responses are converted to FHIR JSON', async () => {
+    const page = await loadUrl({ [SERVER]: { body: readFixture('r4-server.xml') } });
+
+    assert.equal(page.text('error-text'), '');
+    assert.match(page.text('overview-content'), /XmlServer/);
+    assert.match(page.text('resources-tab'), /Patient/);
+    assert.equal(page.viewer.sourceData.rest[0].security.cors, true);
+    page.close();
+});
+
+test('pasted text that is not JSON shows the parse error', async () => {
+    const page = await createViewer();
+    page.viewer.loadCapabilityStatementFromText('{"resourceType": ', { type: 'paste', label: 'Pasted statement' });
+
+    assert.match(page.text('error-text'), /^Invalid JSON: /);
+    page.close();
+});
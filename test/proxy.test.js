@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ROOT } = require('./helpers/viewer');
+
+const PROXY = path.join(ROOT, 'proxy', 'cors-proxy.js');
+
+// The upstream "FHIR server": /metadata answers, /bounce redirects to another hostname
+function startUpstream() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/bounce') {
+            res.writeHead(302, { Location: `http://localhost:${server.address().port}/metadata` });
+            res.end();
+            return;
+        }
+        if (req.url === '/hop') {
+            res.writeHead(302, { Location: '/metadata' });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+        res.end('{"resourceType":"CapabilityStatement"}');
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function startProxy(env) {
+    const child = spawn(process.execPath, [PROXY], { env: { ...process.env, PORT: '0', ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+    return new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/listening on http:\/\/127\.0\.0\.1:(\d+)/);
+            if (match) {
+                resolve({ port: Number(match[1]), stop: () => child.kill() });
+            }
+        });
+        child.on('exit', code => reject(new Error(`Proxy exited with ${code}`)));
+    });
+}
+
+function get(port, target, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get({
+            host: '127.0.0.1',
+            port,
+            path: `/?url=${encodeURIComponent(target)}`,
+            headers: { Host: `127.0.0.1:${port}`, ...headers }
+        }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+test('the local proxy only serves its own origins and host names', async (t) => {
+    const upstream = await startUpstream();
+    const proxy = await startProxy({ ALLOWED_HOSTS: '' });
+    t.after(() => {
+        proxy.stop();
+        upstream.close();
+    });
+    const target = `http://127.0.0.1:${upstream.address().port}/metadata`;
+
+    const viewer = await get(proxy.port, target, { Origin: 'http://localhost:8000' });
+    assert.equal(viewer.status, 200);
+    assert.equal(viewer.headers['access-control-allow-origin'], 'http://localhost:8000');
+    assert.match(viewer.body, /CapabilityStatement/);
+
+    const otherSite = await get(proxy.port, target, { Origin: 'https://evil.example' });
+    assert.equal(otherSite.status, 403);
+    assert.equal(otherSite.headers['access-control-allow-origin'], undefined);
+    assert.equal((await get(proxy.port, target, { Origin: 'null' })).status, 403);
+
+    const rebound = await get(proxy.port, target, { Host: `rebind.example:${proxy.port}` });
+    assert.equal(rebound.status, 403);
+    assert.match(rebound.body, /Host header/);
+});
+
+test('ALLOWED_ORIGINS replaces the localhost default and redirects are checked against ALLOWED_HOSTS', async (t) => {
+    const upstream = await startUpstream();
+    const proxy = await startProxy({ ALLOWED_HOSTS: '127.0.0.1', ALLOWED_ORIGINS: 'null,https://viewer.example.org' });
+    t.after(() => {
+        proxy.stop();
+        upstream.close();
+    });
+    const base = `http://127.0.0.1:${upstream.address().port}`;
+
+    assert.equal((await get(proxy.port, `${base}/metadata`, { Origin: 'null' })).status, 200);
+    assert.equal((await get(proxy.port, `${base}/metadata`, { Origin: 'http://localhost:8000' })).status, 403);
+
+    const sameHost = await get(proxy.port, `${base}/hop`, { Origin: 'https://viewer.example.org' });
+    assert.equal(sameHost.status, 200);
+
+    const bounced = await get(proxy.port, `${base}/bounce`, { Origin: 'https://viewer.example.org' });
+    assert.equal(bounced.status, 403);
+    assert.match(bounced.body, /Redirect to localhost, which is not in ALLOWED_HOSTS/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, readFixture, settle } = require('./helpers/viewer');
+const { buildVendorStatement } = require('./fixtures/vendor-statement');
+
+async function renderStatement(text) {
+    const page = await createViewer();
+    page.viewer.loadCapabilityStatementFromText(text, { type: 'file', label: 'statement.json' });
+    return page;
+}
+
+function search(page, query) {
+    const form = page.document.querySelector('#raw-tab .raw-path-search');
+    form.querySelector('.raw-path-input').value = query;
+    form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+    return {
+        status: page.document.querySelector('#raw-tab .raw-path-status').textContent,
+        results: [...page.document.querySelectorAll('#raw-tab .raw-path-result code')].map(code => code.textContent)
+    };
+}
+
+function selectedPath(document) {
+    return JSON.parse(document.querySelector('#raw-tab .json-node-selected').dataset.path);
+}
+
+test('the raw tab renders a lazily expanded, highlighted tree', async () => {
+    const page = await renderStatement(readFixture('r5.json'));
+    const { document } = page;
+    const tree = document.querySelector('#raw-tab .json-tree');
+
+    // Only the root's direct children exist until something is expanded
+    const rendered = tree.querySelectorAll('.json-node');
+    assert.equal(rendered.length, 1 + Object.keys(page.viewer.sourceData).length);
+    assert.equal(tree.querySelector('.json-key').textContent, '"resourceType"');
+    assert.equal(tree.querySelector('.json-string').textContent, '"CapabilityStatement"');
+
+    const restNode = [...rendered].find(node => node.dataset.path === '["rest"]');
+    assert.equal(restNode.querySelector('.json-summary').textContent, '[ 1 item ]');
+    restNode.querySelector('.json-toggle').click();
+    assert.equal(restNode.querySelector('.json-toggle').getAttribute('aria-expanded'), 'true');
+    assert.equal(restNode.querySelectorAll(':scope > .json-children > .json-node').length, 1);
+    restNode.querySelector('.json-toggle').click();
+    assert.equal(restNode.classList.contains('json-node-expanded'), false);
+    page.close();
+});
+
+test('FHIRPath and JSONPath queries find and reveal nodes', async () => {
+    const page = await renderStatement(readFixture('r5.json'));
+    const { document } = page;
+
+    const fhirPath = search(page, "CapabilityStatement.rest.resource.where(type='Patient').interaction.code");
+    assert.equal(fhirPath.results[0], 'CapabilityStatement.rest[0].resource[0].interaction[0].code');
+    assert.match(fhirPath.status, /^\d+ matches$/);
+    assert.deepEqual(selectedPath(document), ['rest', 0, 'resource', 0, 'interaction', 0, 'code']);
+
+    const jsonPath = search(page, "$.rest[0].resource[?(@.type=='Observation')].type");
+    assert.deepEqual(jsonPath.results, ['CapabilityStatement.rest[0].resource[1].type']);
+
+    assert.deepEqual(search(page, 'rest[*].mode').results, ['CapabilityStatement.rest[0].mode']);
+    assert.deepEqual(search(page, 'rest.nothing').results, []);
+    assert.match(search(page, 'rest..mode').status, /^Unsupported path syntax at "\.\.mode"/);
+    page.close();
+});
+
+test('copy actions put the path or the value on the clipboard', async () => {
+    const page = await renderStatement(readFixture('r5.json'));
+    const { window, document } = page;
+    const copied = [];
+    Object.defineProperty(window.navigator, 'clipboard', {
+        value: { writeText: async text => { copied.push(text); } }
+    });
+
+    search(page, 'rest[0].security.cors');
+    const node = document.querySelector('#raw-tab .json-node-selected');
+    node.querySelector('[data-action="copy-path"]').click();
+    node.querySelector('[data-action="copy-value"]').click();
+    search(page, 'software');
+    document.querySelector('#raw-tab .json-node-selected [data-action="copy-value"]').click();
+    await settle();
+
+    assert.deepEqual(copied.slice(0, 2), ['CapabilityStatement.rest[0].security.cors', 'true']);
+    assert.equal(copied[2], JSON.stringify(page.viewer.sourceData.software, null, 2));
+    page.close();
+});
+
+test('resource cards link to their element in the raw tree', async () => {
+    const page = await renderStatement(JSON.stringify(buildVendorStatement(450, 2)));
+    const { document } = page;
+
+    // Children are rendered 200 at a time, so the last resource needs the third page
+    const cards = document.querySelectorAll('#resources-tab .resource-card');
+    cards[cards.length - 1].querySelector('.raw-link').click();
+
+    assert.equal(document.querySelector('.tab-button.active').dataset.tab, 'raw');
+    assert.deepEqual(selectedPath(document), ['rest', 0, 'resource', 449]);
+    assert.equal(document.querySelectorAll('#raw-tab .json-more').length, 0);
+
+    document.querySelector('.tab-button[data-tab="search"]').click();
+    document.querySelector('#search-tab .resource-card .raw-link').click();
+    assert.deepEqual(selectedPath(document), ['rest', 0, 'resource', 0, 'searchParam']);
+    page.close();
+});
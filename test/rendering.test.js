@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, readFixture, settle } = require('./helpers/viewer');
+const { buildVendorStatement } = require('./fixtures/vendor-statement');
+
+async function renderFixture(name) {
+    const page = await createViewer();
+    page.viewer.loadCapabilityStatementFromText(readFixture(name), { type: 'file', label: name });
+    return page;
+}
+
+function visibleTabs(document) {
+    return [...document.querySelectorAll('.tab-button')]
+        .filter(button => button.style.display !== 'none')
+        .map(button => button.dataset.tab);
+}
+
+function matrixRows(document) {
+    return [...document.querySelectorAll('#interactions-tab .interaction-matrix tbody tr')].map(row => ({
+        type: row.querySelector('th').textContent,
+        cells: [...row.querySelectorAll('td')].map(cell => cell.textContent.trim())
+    }));
+}
+
+test('offline demo statement renders every tab', async () => {
+    const page = await createViewer();
+    const { viewer, document, text } = page;
+    viewer.loadStaticDemoData();
+
+    assert.equal(document.getElementById('results-section').style.display, 'block');
+    assert.match(text('overview-content'), /Sandbox_FHIR_Capability_Statement/);
+    assert.match(text('overview-content'), /WebChart FHIR R4 Sandbox/);
+
+    const cards = [...document.querySelectorAll('#resources-tab .resource-card')].map(card => card.dataset.resourceType);
+    assert.deepEqual(cards, ['Patient', 'Observation', 'Condition']);
+    assert.deepEqual(matrixRows(document).map(row => row.type), ['Condition', 'Observation', 'Patient']);
+    assert.match(text('search-tab'), /birthdate \(date\)/);
+    assert.match(text('security-tab'), /SMART-on-FHIR/);
+    assert.match(text('raw-tab'), /"resourceType": "CapabilityStatement"/);
+    assert.deepEqual(visibleTabs(document), ['resources', 'interactions', 'operations', 'search', 'graph', 'security', 'terminology', 'raw', 'compare', 'conformance']);
+    page.close();
+});
+
+test('minimal statement without rest shows empty states', async () => {
+    const page = await renderFixture('minimal.json');
+    const { text } = page;
+
+    assert.equal(text('error-text'), '');
+    assert.match(text('overview-content'), /REST Endpoints None/);
+    assert.equal(text('resources-tab'), 'No resources found in this CapabilityStatement.');
+    assert.equal(text('interactions-tab'), 'No REST interface information found.');
+    assert.equal(text('operations-tab'), 'No operations found in this CapabilityStatement.');
+    assert.equal(text('search-tab'), 'No search parameters found in this CapabilityStatement.');
+    assert.match(text('security-tab'), /^No security information found/);
+    page.close();
+});
+
+test('malformed statement renders without trusting missing or hostile fields', async () => {
+    const page = await renderFixture('malformed.json');
+    const { window, document, text, logs } = page;
+
+    assert.equal(text('error-text'), '');
+    assert.deepEqual(logs.filter(([level]) => level === 'error'), []);
+
+    // Operations without a definition
+    assert.match(text('operations-tab'), /\$ping Definition: Not specified/);
+    assert.match(text('operations-tab'), /\$everything Definition: Not specified/);
+    // Security services without codings fall back to their text
+    const services = [...document.querySelectorAll('#security-tab .interaction-tag')].map(tag => tag.textContent);
+    assert.deepEqual(services, ['Home-grown token scheme', 'Unknown', 'Unknown']);
+    // Search parameters without a type
+    assert.match(text('search-tab'), /name \(type not specified\)/);
+    // Extensions without a usable url
+    const extensionLabels = [...document.querySelectorAll('#overview-content .extension-label strong')].map(label => label.textContent);
+    assert.deepEqual(extensionLabels, ['(no url)', '42', '(no url)']);
+    // Resources without interactions
+    assert.deepEqual(matrixRows(document).find(row => row.type === 'Observation').cells.slice(0, 9), Array(9).fill('✗'));
+
+    // Server content is escaped, never executed or linked
+    await settle();
+    assert.equal(window.pwned, undefined);
+    assert.equal(document.querySelectorAll('#results-section img, #results-section script').length, 0);
+    assert.equal(document.querySelectorAll('a[href^="javascript:"]').length, 0);
+    assert.match(text('overview-content'), /<img src=x onerror="window.pwned = true">/);
+    page.close();
+});
+
+test('multiple rest entries get an endpoint selector that drives the tabs', async () => {
+    const page = await renderFixture('multi-rest.json');
+    const { viewer, document, text } = page;
+
+    assert.equal(document.getElementById('rest-selector').style.display, 'flex');
+    const options = [...document.querySelectorAll('#rest-endpoint-select option')].map(option => option.textContent);
+    assert.deepEqual(options, ['Endpoint 1: server (2 resources)', 'Endpoint 2: client (1 resource)']);
+    assert.match(text('resources-tab'), /Supported Resources \(2\)/);
+    assert.match(text('interactions-tab'), /System-Level Interactions transaction/);
+
+    viewer.selectRestEndpoint(1);
+    assert.match(text('resources-tab'), /Supported Resources \(1\) Subscription/);
+    assert.deepEqual(matrixRows(document), [{
+        type: 'Subscription',
+        cells: ['✗', '✗', '✗', '✗', '✓', '✗', '✗', '✓', '✗', '–', '–', '–', '–', '–', '–', '–', '–']
+    }]);
+    assert.match(text('interactions-tab'), /System-Level Interactions None specified Mode: client/);
+    page.close();
+});
+
+test('DSTU2 Conformance is normalized onto the current model', async () => {
+    const page = await renderFixture('dstu2-conformance.json');
+    const { document, text } = page;
+
+    assert.equal(document.querySelector('.release-badge').textContent, 'DSTU2');
+    assert.match(text('overview-content'), /Converted from a DSTU2 Conformance resource/);
+    // transactionMode "both" becomes the batch and transaction interactions
+    assert.match(text('interactions-tab'), /System-Level Interactions batchtransaction/);
+    // References become canonicals
+    assert.match(text('resources-tab'), /Profile: http:\/\/example\.org\/fhir\/StructureDefinition\/legacy-patient/);
+    assert.match(text('operations-tab'), /Definition: http:\/\/example\.org\/fhir\/OperationDefinition\/everything/);
+    // Messaging endpoints and events, and document profiles, get their own tabs
+    assert.deepEqual(visibleTabs(document).filter(tab => tab === 'messaging' || tab === 'documents'), ['messaging', 'documents']);
+    assert.match(text('messaging-tab'), /mllp:\/\/example\.org:2575/);
+    assert.match(text('messaging-tab'), /admin-notify receiver Patient/);
+    // Events are listed once, not again as supportedMessage entries
+    assert.equal(text('messaging-tab').match(/admin-notify/g).length, 1);
+    assert.doesNotMatch(text('messaging-tab'), /Supported Messages/);
+    assert.match(text('documents-tab'), /discharge-summary/);
+    page.close();
+});
+
+test('R5 statement shows the newer elements', async () => {
+    const page = await renderFixture('r5.json');
+    const { document, text } = page;
+
+    assert.equal(document.querySelector('.release-badge').textContent, 'R5');
+    assert.match(text('overview-content'), /Accept Languages en, de/);
+    assert.match(text('overview-content'), /Patch Formats application\/json-patch\+json/);
+
+    const patient = matrixRows(document).find(row => row.type === 'Patient');
+    assert.deepEqual(patient.cells, ['✓', '✓', '✓', '✓', '✗', '✓', '✗', '✗', '✓', 'versioned-update', '–', '–', '✓', 'full-support', '–', '✓', 'single']);
+    assert.match(text('search-tab'), /Server-Wide Search Parameters .* _lastUpdated \(date\)/);
+    assert.match(text('security-tab'), /Authorize: https:\/\/auth\.example\.org\/authorize/);
+
+    const edges = [...document.querySelectorAll('#graph-tab .graph-edge title')].map(title => title.textContent);
+    assert.deepEqual(edges, [
+        'Observation?subject → Patient (_revinclude)',
+        'Observation?patient → Patient (_include, reference parameter)'
+    ]);
+    page.close();
+});
+
+test('huge vendor statement renders all resources and filters them', async () => {
+    const page = await createViewer();
+    const { viewer, document, text } = page;
+    const statement = buildVendorStatement();
+    viewer.loadCapabilityStatementFromText(JSON.stringify(statement), { type: 'file', label: 'vendor.json' });
+
+    assert.equal(document.querySelectorAll('#resources-tab .resource-card').length, 180);
+    assert.equal(matrixRows(document).length, 180);
+    assert.equal(document.querySelectorAll('#search-tab .search-param').length, 180 * 12 + 179);
+    assert.match(text('operations-tab'), /\$export/);
+    // Vendor001 both declares patient and is the Patient _revinclude: one path, two kinds
+    assert.equal(document.querySelector('#graph-tab h3').textContent, 'Resource Relationships (180 resources, 179 reference paths)');
+
+    document.getElementById('filter-input').value = 'vendor00';
+    viewer.updateFilter();
+    assert.equal(document.querySelectorAll('#resources-tab .resource-card').length, 9);
+    assert.equal(text('filter-status'), 'Showing 9 of 180 resources');
+    page.close();
+});
+
+test('CSV cells are quoted for line breaks and guarded against spreadsheet formulas', async () => {
+    const page = await createViewer();
+
+    assert.equal(page.viewer.toCsv([
+        ['type', 'note', 'count'],
+        ['Patient', 'line\rbreak', -1],
+        ['=HYPERLINK("http://evil.example")', '+1', '@SUM(A1)'],
+        ['-cmd', 'plain, with comma', 'say "hi"']
+    ]), [
+        'type,note,count',
+        'Patient,"line\rbreak",-1',
+        '"\'=HYPERLINK(""http://evil.example"")",\'+1,\'@SUM(A1)',
+        '\'-cmd,"plain, with comma","say ""hi"""'
+    ].join('\n'));
+    page.close();
+});
+
+test('server values in the Markdown report cannot break out of their line or inject markup', async () => {
+    const page = await createViewer();
+
+    const markdown = page.viewer.reportToMarkdown([{
+        level: 1,
+        title: 'Evil\n# Injected | <b>server</b>',
+        fields: [['URL', 'http://ex.org/a_b?x=1&y=2'], ['Publisher', '<img src=x onerror=alert(1)>']],
+        text: 'Keeps *FHIR markdown*',
+        items: ['- nested', '1. numbered', 'two\nlines'],
+        table: { headers: ['Resource', 'Profile'], rows: [['Patient', 'a|b\n[link](javascript:x)']] }
+    }]);
+    assert.equal(markdown, [
+        '# Evil \\# Injected \\| \\<b\\>server\\</b\\>',
+        '',
+        '- **URL:** http://ex.org/a\\_b?x=1\\&y=2',
+        '- **Publisher:** \\<img src=x onerror=alert(1)\\>',
+        '',
+        'Keeps *FHIR markdown*',
+        '',
+        '- \\- nested',
+        '- 1\\. numbered',
+        '- two lines',
+        '',
+        '| Resource | Profile |',
+        '| --- | --- |',
+        '| Patient | a\\|b \\[link\\](javascript:x) |',
+        ''
+    ].join('\n'));
+    page.close();
+});
+
+test('emphasis markers inside link URLs leave the href intact', async () => {
+    const page = await createViewer();
+    const container = page.document.createElement('div');
+    container.innerHTML = page.viewer.renderMarkdown('See [the _guide_](http://ex.org/_foo_/*bar*/) and `a_b_c`, _really_');
+
+    const link = container.querySelector('a');
+    assert.equal(link.getAttribute('href'), 'http://ex.org/_foo_/*bar*/');
+    assert.equal(link.innerHTML, 'the <em>guide</em>');
+    assert.equal(container.querySelector('code').textContent, 'a_b_c');
+    assert.equal(container.querySelectorAll('em').length, 2);
+    page.close();
+});
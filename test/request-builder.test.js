@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, stubFetch, loadFixture, settle } = require('./helpers/viewer');
+
+const BASE = 'https://fhir.example.org/r4';
+const PUBLIC_PROXY = 'https://api.allorigins.win/raw';
+const LOCAL_PROXY = 'http://localhost:8787/';
+
+async function openBuilder(routes, type = 'Patient') {
+    const stub = stubFetch({ [`${BASE}/metadata`]: { body: loadFixture('r5.json') }, ...routes });
+    const page = await createViewer({ fetch: stub.fetch });
+    page.document.getElementById('fhir-url').value = `${BASE}/metadata`;
+    await page.viewer.loadCapabilityStatement();
+    await settle();
+
+    const builder = page.document.querySelector(`#search-tab .request-builder[data-resource-type="${type}"]`);
+    builder.open = true;
+    builder.dispatchEvent(new page.window.Event('toggle'));
+    return { ...page, builder, calls: stub.calls };
+}
+
+async function run(page) {
+    page.builder.querySelector('.builder-run').click();
+    await settle();
+    return page.builder.querySelector('.builder-result').textContent.replace(/\s+/g, ' ').trim();
+}
+
+test('HTTP errors from a search show the OperationOutcome and are not retried through the proxy', async () => {
+    const page = await openBuilder({
+        [`${BASE}/Patient`]: {
+            status: 400,
+            statusText: 'Bad Request',
+            body: { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'invalid', diagnostics: 'Unknown search parameter "foo"' }] }
+        },
+        [PUBLIC_PROXY]: { body: { resourceType: 'Bundle', type: 'searchset' } }
+    });
+
+    assert.equal(page.builder.querySelector('.builder-url').value, `${BASE}/Patient`);
+    const result = await run(page);
+    assert.match(result, /^The server answered HTTP 400 OperationOutcome error: Unknown search parameter "foo" Served direct connection$/);
+    // The SMART configuration lookup may still use the proxy; the search must not
+    assert.deepEqual(page.calls.filter(call => call.url.startsWith(PUBLIC_PROXY) && call.url.includes('Patient')), []);
+    page.close();
+});
+
+test('error bodies that are not FHIR still report the status', async () => {
+    const notFound = await openBuilder({ [`${BASE}/Patient`]: { status: 404, body: '<html><body>Not Found</body></html>' } });
+    assert.match(await run(notFound), /^The server answered HTTP 404 Served direct connection$/);
+    notFound.close();
+});
+
+test('blocked queries never go to the public proxy, only to a local or custom one', async () => {
+    const publicProxy = await openBuilder({ [PUBLIC_PROXY]: { body: { resourceType: 'Bundle', type: 'searchset', total: 0 } } });
+    assert.match(await run(publicProxy), /^Direct request failed: Failed to fetch\. Requests from the builder are never sent through the public CORS proxy/);
+    assert.deepEqual(publicProxy.calls.filter(call => call.url.startsWith(PUBLIC_PROXY) && call.url.includes('Patient')), []);
+    publicProxy.close();
+
+    const localProxy = await openBuilder({ [LOCAL_PROXY]: { body: { resourceType: 'Bundle', type: 'searchset', total: 0 } } });
+    localProxy.document.getElementById('proxy-mode').value = 'local';
+    assert.match(await run(localProxy), /^Bundle \(searchset\) Total matches: 0 .* via CORS proxy \(localhost:8787\)$/);
+    localProxy.close();
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, stubFetch, loadFixture, settle } = require('./helpers/viewer');
+
+const BASE = 'https://tx.example.org/fhir';
+const TERMINOLOGY_URL = `${BASE}/metadata?mode=terminology`;
+
+async function loadServer(routes, { requestTerminology = false } = {}) {
+    const stub = stubFetch(routes);
+    const page = await createViewer({ fetch: stub.fetch });
+    page.document.getElementById('request-terminology').checked = requestTerminology;
+    page.document.getElementById('fhir-url').value = `${BASE}/metadata`;
+    await page.viewer.loadCapabilityStatement();
+    await settle();
+    return { ...page, calls: stub.calls };
+}
+
+function columnValues(document, column) {
+    return [...document.querySelectorAll('#terminology-tab .terminology-code-systems tbody tr')]
+        .map(row => row.children[column].textContent.replace(/\s+/g, ' ').trim());
+}
+
+test('the Terminology tab offers to fetch from the server base URL', async () => {
+    const page = await loadServer({ [`${BASE}/metadata`]: { body: loadFixture('r5.json') } });
+
+    assert.equal(page.calls.filter(call => call.url.includes('mode=terminology')).length, 0);
+    assert.match(page.text('terminology-tab'), /Not loaded/);
+    assert.equal(page.document.getElementById('terminology-base-url').value, BASE);
+    page.close();
+});
+
+test('TerminologyCapabilities are fetched with the statement and rendered', async () => {
+    const page = await loadServer({
+        [TERMINOLOGY_URL]: { body: loadFixture('terminology-capabilities.json') },
+        [`${BASE}/metadata`]: { body: loadFixture('r5.json') }
+    }, { requestTerminology: true });
+    const { document, text, calls } = page;
+
+    assert.ok(calls.some(call => call.url === `${TERMINOLOGY_URL}&_format=json`));
+    assert.match(text('terminology-tab'), /Served direct connection from https:\/\/tx\.example\.org\/fhir\/metadata\?mode=terminology/);
+    assert.match(text('terminology-tab'), /Name Example Terminology Server/);
+    assert.match(text('terminology-tab'), /Code Systems \(3\)/);
+
+    assert.deepEqual(columnValues(document, 0), ['http://snomed.info/sct', 'http://loinc.org', 'http://example.org/<b>local</b>']);
+    assert.deepEqual(columnValues(document, 1), [
+        'http://snomed.info/sct/900000000000207008/version/20240301 default compositional',
+        '2.76 2.77 default',
+        '–'
+    ]);
+    assert.deepEqual(columnValues(document, 3), ['concept (is-a, descendent-of); expression (=)', '–', '–']);
+    assert.deepEqual(columnValues(document, 5), ['Yes', 'Not specified', 'Not specified']);
+    assert.equal(document.querySelectorAll('#terminology-tab b').length, 0);
+
+    assert.match(text('terminology-tab'), /\$expand Hierarchical: No Paging: Yes Incomplete: Not specified Parameters: displayLanguage – Language for displays activeOnly/);
+    assert.match(text('terminology-tab'), /\$validate-code Translations: Yes/);
+    assert.match(text('terminology-tab'), /\$translate Needs map: No/);
+    assert.match(text('terminology-tab'), /\$closure Translation: Yes/);
+    assert.match(document.querySelector('#terminology-tab .terminology-raw pre').textContent, /"resourceType": "TerminologyCapabilities"/);
+    page.close();
+});
+
+test('servers that ignore mode=terminology are reported', async () => {
+    const page = await loadServer({ [`${BASE}/metadata`]: { body: loadFixture('r5.json') } });
+
+    page.document.getElementById('terminology-fetch-button').click();
+    assert.match(page.text('terminology-tab'), /Loading TerminologyCapabilities/);
+    await settle();
+    assert.match(page.text('terminology-tab'), /Could not load TerminologyCapabilities: The server ignored mode=terminology/);
+    page.close();
+});
+
+test('a TerminologyCapabilities URL entered as the statement URL explains where to view it', async () => {
+    const stub = stubFetch({ [TERMINOLOGY_URL]: { body: loadFixture('terminology-capabilities.json') } });
+    const page = await createViewer({ fetch: stub.fetch });
+    page.document.getElementById('fhir-url').value = TERMINOLOGY_URL;
+    await page.viewer.loadCapabilityStatement();
+
+    assert.match(page.text('error-text'), /^The response is a TerminologyCapabilities resource \(mode=terminology\)\. .* open the Terminology tab/);
+    page.close();
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViewer, stubFetch, loadFixture, settle } = require('./helpers/viewer');
+
+const SERVER = 'https://fhir.example.org/r4/metadata';
+
+async function loadServer(search = '') {
+    const stub = stubFetch({ [SERVER]: { body: loadFixture('multi-rest.json') } });
+    const page = await createViewer({ search, fetch: stub.fetch });
+    if (!search) {
+        page.document.getElementById('fhir-url').value = SERVER;
+        await page.viewer.loadCapabilityStatement();
+    }
+    await settle();
+    return page;
+}
+
+function openCards(document) {
+    return [...document.querySelectorAll('#resources-tab .resource-card')]
+        .filter(card => card.querySelector('.resource-content.active'))
+        .map(card => card.dataset.resourceType);
+}
+
+// jsdom only runs scripts from outside the page, so the inline accordion handler is called by hand
+function toggleCard(window, type) {
+    const header = window.document.querySelector(`#resources-tab .resource-card[data-resource-type="${type}"] .resource-header`);
+    window.Function(header.getAttribute('onclick')).call(header);
+    header.click();
+}
+
+function activeTab(document) {
+    return document.querySelector('.tab-button.active').dataset.tab;
+}
+
+// popstate is dispatched asynchronously after history.back() and history.forward()
+function navigate(window, direction) {
+    return new Promise(resolve => {
+        window.addEventListener('popstate', () => settle().then(resolve), { once: true });
+        window.history[direction]();
+    });
+}
+
+test('tab and card navigation update the address and can be undone with Back', async () => {
+    const page = await loadServer();
+    const { window, document } = page;
+    assert.equal(window.location.search, `?url=${encodeURIComponent(SERVER)}`);
+
+    document.querySelector('.tab-button[data-tab="search"]').click();
+    assert.match(window.location.search, /&tab=search$/);
+
+    document.querySelector('.tab-button[data-tab="resources"]').click();
+    toggleCard(window, 'Encounter');
+    assert.deepEqual(openCards(document), ['Encounter']);
+    assert.match(window.location.search, /&open=Encounter$/);
+    assert.equal(window.history.length, 4);
+
+    await navigate(window, 'back');
+    assert.deepEqual(openCards(document), []);
+    assert.equal(activeTab(document), 'resources');
+
+    await navigate(window, 'back');
+    assert.equal(activeTab(document), 'search');
+
+    await navigate(window, 'forward');
+    await navigate(window, 'forward');
+    assert.deepEqual(openCards(document), ['Encounter']);
+    page.close();
+});
+
+test('filter and endpoint changes replace the current entry', async () => {
+    const page = await loadServer();
+    const { window, document, viewer } = page;
+    const historyLength = window.history.length;
+
+    document.getElementById('filter-input').value = 'Sub';
+    viewer.updateFilter();
+    viewer.selectRestEndpoint(1);
+
+    assert.equal(window.history.length, historyLength);
+    const params = new URLSearchParams(window.location.search);
+    assert.equal(params.get('filter'), 'Sub');
+    assert.equal(params.get('rest'), '1');
+    page.close();
+});
+
+test('a text filter opens matching cards once, and later re-renders keep cards the user closed', async () => {
+    const page = await loadServer();
+    const { window, document, viewer } = page;
+
+    document.getElementById('filter-input').value = 'read';
+    viewer.updateFilter();
+    assert.deepEqual(openCards(document), ['Patient', 'Encounter']);
+
+    toggleCard(window, 'Encounter');
+    document.querySelector('#interactions-tab [data-matrix-sort="type"]').click();
+
+    assert.deepEqual(openCards(document), ['Patient']);
+    assert.equal(new URLSearchParams(window.location.search).get('open'), 'Patient');
+    page.close();
+});
+
+test('a permalink restores tab, open cards, filter and endpoint', async () => {
+    const page = await loadServer();
+    const { window, document, viewer, logs } = page;
+    let copied = null;
+    Object.defineProperty(window.navigator, 'clipboard', {
+        value: { writeText: async text => { copied = text; } }
+    });
+
+    viewer.selectRestEndpoint(0);
+    document.getElementById('filter-interaction').value = 'read';
+    viewer.updateFilter();
+    viewer.openResourceCard('Patient');
+    document.querySelector('.tab-button[data-tab="interactions"]').click();
+    viewer.generatePermalink();
+    await settle();
+
+    const link = new URL(copied);
+    assert.deepEqual(Object.fromEntries(link.searchParams), {
+        url: SERVER,
+        tab: 'interactions',
+        open: 'Patient',
+        interaction: 'read'
+    });
+    assert.deepEqual(logs.filter(([level]) => level === 'alert'), []);
+    page.close();
+
+    const restored = await loadServer(link.search);
+    assert.equal(activeTab(restored.document), 'interactions');
+    assert.deepEqual(openCards(restored.document), ['Patient']);
+    assert.equal(restored.document.getElementById('filter-interaction').value, 'read');
+    assert.equal(restored.window.location.search, link.search);
+    restored.close();
+});
+
+test('unknown or hidden tabs and endpoints fall back to the defaults', async () => {
+    const page = await loadServer(`?url=${encodeURIComponent(SERVER)}&tab=messaging&rest=7&open=Nothing`);
+    const { document, viewer } = page;
+
+    assert.equal(activeTab(document), 'resources');
+    assert.equal(viewer.selectedRestIndex, 0);
+    assert.deepEqual(openCards(document), []);
+    page.close();
+});